@@ -179,7 +179,7 @@ export default {
                     </span>
                 </td>
                 <td style="padding: 1rem; border-bottom: 1px solid var(--mf-border-color);">
-                    <button class="mf-btn mf-btn-info" onclick="window.app.navigate('/user/${user.id}')" 
+                    <button class="mf-btn mf-btn-info" onclick="window.app.navigate({ name: 'user-detail', params: { id: ${user.id} } })" 
                             style="margin: 0; padding: 0.25rem 0.75rem; font-size: 0.875rem;">
                         View
                     </button>
@@ -83,7 +83,7 @@ export default {
                         <span class="badge badge-${user.status.toLowerCase()}">${user.status}</span>
                     </td>
                     <td style="padding: 1rem; border-bottom: 1px solid var(--mf-border-color);">
-                        <button class="mf-btn mf-btn-info" onclick="app.navigate('/user/${user.id}')" style="margin: 0; padding: 0.25rem 0.5rem; font-size: 0.875rem;">View</button>
+                        <button class="mf-btn mf-btn-info" onclick="app.navigate({ name: 'user-detail', params: { id: ${user.id} } })" style="margin: 0; padding: 0.25rem 0.5rem; font-size: 0.875rem;">View</button>
                     </td>
                 </tr>
             `).join('');
@@ -23,6 +23,19 @@ const banner = `/**
  * @homepage ${pkg.homepage}
  */`;
 
+// Inject the package version in place of __VERSION__ (src/constants.js)
+function injectVersion() {
+  return {
+    name: 'inject-version',
+    transform(code, id) {
+      if (!id.endsWith('constants.js')) {
+        return null;
+      }
+      return { code: code.replace(/__VERSION__/g, JSON.stringify(pkg.version)), map: null };
+    }
+  };
+}
+
 // Copy TypeScript definitions after build
 function copyTypes() {
   return {
@@ -51,6 +64,7 @@ export default [
     plugins: [
       resolve(),
       commonjs(),
+      injectVersion(),
       copyTypes() // Copy types after first build
     ]
   },
@@ -70,7 +84,8 @@ export default [
     },
     plugins: [
       resolve(),
-      commonjs()
+      commonjs(),
+      injectVersion()
     ]
   },
   
@@ -87,6 +102,7 @@ export default [
     plugins: [
       resolve(),
       commonjs(),
+      injectVersion(),
       terser({
         format: {
           comments: function(node, comment) {
@@ -110,7 +126,8 @@ export default [
     },
     plugins: [
       resolve(),
-      commonjs()
+      commonjs(),
+      injectVersion()
     ]
   }
 ];
\ No newline at end of file
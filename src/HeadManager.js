@@ -0,0 +1,181 @@
+import { EVENTS } from './constants.js';
+
+/**
+ * HeadManager - Applies route `meta` to the document title, meta tags and canonical link
+ */
+export class HeadManager {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.config = {
+            titleTemplate: options.titleTemplate || null // e.g. '%s | MyApp'
+        };
+        this.defaultTitle = null;
+        this.applied = []; // Tags touched by the current route: { element, created, previous }
+
+        // Bind methods
+        this.handleRouteChange = this.handleRouteChange.bind(this);
+        this.handleRouteError = this.handleRouteError.bind(this);
+    }
+
+    /**
+     * Start following route changes
+     */
+    initialize() {
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.defaultTitle = document.title;
+        this.framework.on(EVENTS.ROUTE_CHANGE, this.handleRouteChange);
+        this.framework.on(EVENTS.ROUTE_ERROR, this.handleRouteError);
+    }
+
+    /**
+     * Update the head for the new route
+     */
+    handleRouteChange(route) {
+        this.update(this.resolveMeta(route));
+    }
+
+    /**
+     * A route that ended on its error view gets the default head - the previous
+     * route's title and tags don't describe it, and its meta may need data that failed to load
+     */
+    handleRouteError({ route }) {
+        if (route && route === this.framework.router.currentRoute) {
+            this.restoreDefaults();
+        }
+    }
+
+    /**
+     * Go back to the page's original title and drop the tags routes set
+     */
+    restoreDefaults() {
+        this.update({ og: {} });
+    }
+
+    /**
+     * Merge the meta of every matched route, outermost parent first
+     * Each `meta` is an object or a function of (params, data, route)
+     */
+    resolveMeta(route) {
+        const matched = route.matched || [route];
+
+        return matched.reduce((merged, record) => {
+            const meta = typeof record.meta === 'function'
+                ? record.meta(route.params || {}, route.data ?? null, route)
+                : record.meta;
+
+            if (!meta) {
+                return merged;
+            }
+
+            return {
+                ...merged,
+                ...meta,
+                og: { ...merged.og, ...meta.og }
+            };
+        }, { og: {} });
+    }
+
+    /**
+     * Apply resolved meta, undoing whatever the previous route set
+     */
+    update(meta) {
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        this.reset();
+
+        if (meta.title) {
+            document.title = this.config.titleTemplate
+                ? this.config.titleTemplate.replace('%s', meta.title)
+                : meta.title;
+        } else if (this.defaultTitle !== null) {
+            document.title = this.defaultTitle;
+        }
+
+        if (meta.description) {
+            this.setTag('meta', 'name', 'description', 'content', meta.description);
+        }
+        if (meta.robots) {
+            this.setTag('meta', 'name', 'robots', 'content', meta.robots);
+        }
+        if (meta.canonical) {
+            this.setTag('link', 'rel', 'canonical', 'href', this.resolveUrl(meta.canonical));
+        }
+
+        // Open Graph - og.title falls back to the page title
+        const og = { ...meta.og };
+        if (meta.title && !og.title) {
+            og.title = meta.title;
+        }
+        Object.entries(og).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                this.setTag('meta', 'property', `og:${key}`, 'content', String(value));
+            }
+        });
+    }
+
+    /**
+     * Set an attribute on a head tag, creating the tag if the page doesn't have one
+     */
+    setTag(tagName, keyAttribute, key, valueAttribute, value) {
+        let element = document.head.querySelector(`${tagName}[${keyAttribute}="${key}"]`);
+        const created = !element;
+
+        if (created) {
+            element = document.createElement(tagName);
+            element.setAttribute(keyAttribute, key);
+            element.setAttribute('data-mf-head', '');
+            document.head.appendChild(element);
+        }
+
+        this.applied.push({
+            element,
+            created,
+            valueAttribute,
+            previous: created ? null : element.getAttribute(valueAttribute)
+        });
+        element.setAttribute(valueAttribute, value);
+    }
+
+    /**
+     * Remove tags the previous route created and restore the ones it changed
+     */
+    reset() {
+        this.applied.reverse().forEach(({ element, created, valueAttribute, previous }) => {
+            if (created) {
+                element.remove();
+            } else if (previous === null) {
+                element.removeAttribute(valueAttribute);
+            } else {
+                element.setAttribute(valueAttribute, previous);
+            }
+        });
+        this.applied = [];
+    }
+
+    /**
+     * Turn a router path into an absolute URL
+     */
+    resolveUrl(url) {
+        if (!url.startsWith('/')) {
+            return url;
+        }
+        return new URL(this.framework.router.createHref(url), window.location.href).href;
+    }
+
+    /**
+     * Stop following route changes and restore the original head
+     */
+    destroy() {
+        this.framework.off(EVENTS.ROUTE_CHANGE, this.handleRouteChange);
+        this.framework.off(EVENTS.ROUTE_ERROR, this.handleRouteError);
+        this.reset();
+        if (this.defaultTitle !== null) {
+            document.title = this.defaultTitle;
+        }
+    }
+}
\ No newline at end of file
@@ -1,7 +1,11 @@
-import {EVENTS} from "./constants.js";
+import {EVENTS, VERSION} from "./constants.js";
 import {EventManager} from "./EventManager.js";
 import {ModuleManager} from "./ModuleManager.js";
 import {Router} from "./Router.js";
+import {HeadManager} from "./HeadManager.js";
+import {PrefetchManager} from "./PrefetchManager.js";
+import {TransitionManager} from "./TransitionManager.js";
+import {RegionManager} from "./RegionManager.js";
 
 export class MicroFramework {
 	constructor(options = {}) {
@@ -11,9 +15,24 @@ export class MicroFramework {
 			loadingSpinner: options.loadingSpinner || null, // Optional loading spinner element/selector
 			autoBindLinks: options.autoBindLinks !== false, // Enable automatic link binding
 			linkSelector: options.linkSelector || "[data-route]", // Simple selector for navigation links
+			activeLinks: options.activeLinks !== false, // Keep active classes on links in sync with the route
+			activeClass: options.activeClass || "active", // Link points at the current route (or a parent, with prefix matching)
+			exactActiveClass: options.exactActiveClass || "exact-active", // Link points exactly at the current route
+			activeMatch: options.activeMatch || "exact", // 'exact' or 'prefix' - per link via data-active-match
+			linkScope: options.linkScope || null, // Element or selector links are handled in - memory mode defaults to the app's containers
 			...options,
 		};
 
+		// A container map names regions - routes render into 'main' (or the first one)
+		let regionContainers = {};
+		const containers = this.config.container;
+		if (typeof containers === "object" && containers !== null && !containers.nodeType) {
+			const mainRegion = "main" in containers ? "main" : Object.keys(containers)[0];
+			regionContainers = {...containers};
+			delete regionContainers[mainRegion];
+			this.config.container = containers[mainRegion];
+		}
+
 		// Initialize event system first
 		this.eventListeners = new Map();
 		this.eventManager = new EventManager(this, {
@@ -25,6 +44,10 @@ export class MicroFramework {
 		this.moduleManager = new ModuleManager(this, {
 			moduleBase: options.moduleBase,
 			lazy: options.lazy,
+			versionPolicy: options.versionPolicy, // 'replace', 'reject' or 'keep'
+			manifest: options.manifest,
+			loader: options.moduleLoader,
+			keepAliveMax: options.keepAliveMax,
 		});
 
 		this.router = new Router(this, {
@@ -33,16 +56,45 @@ export class MicroFramework {
 			hashbang: options.router?.hashbang || options.hashbang || false,
 			beforeEnter: options.router?.beforeEnter || null,
 			afterEnter: options.router?.afterEnter || null,
+			maxRedirects: options.router?.maxRedirects,
+			initialPath: options.router?.initialPath,
+			trailingSlash: options.router?.trailingSlash,
+			caseSensitive: options.router?.caseSensitive,
+			scrollRestoration: options.router?.scrollRestoration,
+			scrollBehavior: options.router?.scrollBehavior || null,
+			scrollContainers: options.router?.scrollContainers,
+			prefetchMaxAge: options.prefetchMaxAge,
 			notFoundHandler:
 				options.router?.notFoundHandler ||
 				options.notFoundHandler ||
 				null,
+			errorHandler:
+				options.router?.errorHandler || options.errorHandler || null,
+		});
+
+		this.headManager = new HeadManager(this, {
+			titleTemplate: options.titleTemplate,
+		});
+
+		this.transitionManager = new TransitionManager(this, {
+			transition: options.transition, // Default route transition: true, a name or { name, duration, viewTransition }
+		});
+
+		this.regionManager = new RegionManager(this, {
+			containers: regionContainers,
+			modules: options.regions, // Default module per region, e.g. { header: 'site-header' }
+		});
+
+		this.prefetchManager = new PrefetchManager(this, {
+			strategy: options.prefetch, // Default prefetch strategy for links: 'hover', 'visible' or 'idle'
+			maxAge: options.prefetchMaxAge,
 		});
 
 		// DOM elements
 		this.moduleContainer = null; // Where modules render
 		this.loadingSpinner = null; // Optional loading spinner
 		this.containerObserver = null; // MutationObserver for container changes
+		this.linkObserver = null; // MutationObserver for links added after a route change
 
 		// State
 		this.isStarted = false;
@@ -50,6 +102,7 @@ export class MicroFramework {
 
 		// Bind methods
 		this.handleLinkClick = this.handleLinkClick.bind(this);
+		this.handleRouteChange = this.handleRouteChange.bind(this);
 	}
 
 	/**
@@ -62,7 +115,9 @@ export class MicroFramework {
 		}
 
 		this.initializeContainer();
+		this.regionManager.initialize();
 		this.router.initialize();
+		this.headManager.initialize();
 		this.setupEventListeners();
 		this.handleInitialRoute();
 
@@ -84,9 +139,12 @@ export class MicroFramework {
 	}
 
 	/**
-	 * Get the container, re-initializing if necessary
+	 * Get the container (or a named region's), re-initializing if necessary
 	 */
-	getContainer() {
+	getContainer(region = null) {
+		if (region) {
+			return this.regionManager.getContainer(region);
+		}
 		if (!this.isContainerValid()) {
 			console.warn("Container is stale, attempting to re-initialize...");
 			try {
@@ -102,10 +160,10 @@ export class MicroFramework {
 	}
 
 	/**
-	 * Render content to the container
+	 * Render content to the container (or a given element such as a layout outlet)
 	 */
-	render(content) {
-		const container = this.getContainer();
+	render(content, target = null) {
+		const container = target || this.getContainer();
 		if (typeof content === "string") {
 			container.innerHTML = content;
 		} else if (content instanceof HTMLElement) {
@@ -203,18 +261,28 @@ export class MicroFramework {
 	/**
 	 * Attempt to recover from container removal
 	 */
-	attemptContainerRecovery() {
+	async attemptContainerRecovery() {
 		try {
 			console.log("Attempting container recovery...");
 			this.initializeContainer();
 
-			// Re-render current module if one exists
-			const currentModule = this.moduleManager.getCurrentModule();
-			if (currentModule && currentModule.render) {
+			// Re-render mounted modules, each nested one into its layout's new outlet
+			const mounted = this.moduleManager.getMountedModules();
+			let container = this.moduleContainer;
+			for (const record of mounted) {
 				console.log(
-					"Re-rendering current module after container recovery"
+					`Re-rendering module '${record.name}' after container recovery`
 				);
-				currentModule.render(this.moduleContainer);
+				container.innerHTML = "";
+				await record.module.render(container, record.params, {
+					...this.getContext(),
+					basePath: record.module.basePath || "",
+				});
+				record.container = container;
+				if (record.outlet) {
+					record.outlet = this.moduleManager.getOutlet(record);
+					container = record.outlet;
+				}
 			}
 
 			this.emit(EVENTS.CONTAINER_RECOVERED);
@@ -232,6 +300,37 @@ export class MicroFramework {
 		if (this.config.autoBindLinks) {
 			document.addEventListener("click", this.handleLinkClick);
 		}
+
+		// Mark links to the current route
+		if (this.config.activeLinks) {
+			this.on(EVENTS.ROUTE_CHANGE, this.handleRouteChange);
+		}
+
+		// Links rendered later get active state and prefetching too
+		this.prefetchManager.initialize();
+		this.linkObserver = new MutationObserver((mutations) => {
+			for (const mutation of mutations) {
+				for (const node of mutation.addedNodes) {
+					if (node.nodeType === Node.ELEMENT_NODE) {
+						this.handleLinksAdded(node);
+					}
+				}
+			}
+		});
+		this.linkObserver.observe(document.body, {
+			childList: true,
+			subtree: true,
+		});
+	}
+
+	/**
+	 * Set up links inside a newly added element
+	 */
+	handleLinksAdded(root) {
+		if (this.config.activeLinks) {
+			this.updateActiveLinks(root);
+		}
+		this.prefetchManager.observeLinks(root);
 	}
 
 	/**
@@ -239,12 +338,99 @@ export class MicroFramework {
 	 */
 	handleLinkClick(event) {
 		const link = event.target.closest(this.config.linkSelector);
-		if (!link) return;
+		if (!link || !this.ownsLink(link)) return;
 
 		event.preventDefault();
-		const route = link.dataset.route || link.getAttribute("href");
+		const route = this.getLinkPath(link);
 		if (route) {
-			this.router.navigate(route);
+			// Already reported as ROUTE_ERROR - nothing awaits a click
+			this.router.navigate(route).catch((error) => console.error("Navigation error:", error));
+		}
+	}
+
+	/**
+	 * Whether a link belongs to this app - inside linkScope, or in memory mode inside
+	 * the app's containers, so several apps on one page don't handle each other's links
+	 */
+	ownsLink(link) {
+		const scopes = this.getLinkScopes();
+		return !scopes || scopes.some((scope) => scope && scope.contains(link));
+	}
+
+	/**
+	 * Get the elements links are handled in - null for the whole document
+	 */
+	getLinkScopes() {
+		const {linkScope} = this.config;
+		if (linkScope) {
+			return [typeof linkScope === "string" ? document.querySelector(linkScope) : linkScope];
+		}
+		if (this.router.config.mode !== "memory") {
+			return null;
+		}
+		return [
+			this.moduleContainer,
+			...[...this.regionManager.regions.values()].map((region) => region.container),
+		];
+	}
+
+	/**
+	 * Warm the modules and loader data of a route before navigating to it
+	 */
+	prefetch(path) {
+		return this.prefetchManager.prefetch(path);
+	}
+
+	/**
+	 * Get the router path a link points at - data-route wins over href
+	 */
+	getLinkPath(link) {
+		return (
+			link.dataset.route ||
+			this.router.getPathFromHref(link.getAttribute("href") || "")
+		);
+	}
+
+	/**
+	 * Refresh active links once a navigation has completed
+	 */
+	handleRouteChange() {
+		this.updateActiveLinks();
+	}
+
+	/**
+	 * Sync active classes and aria-current on links inside root with the current route
+	 */
+	updateActiveLinks(root = document) {
+		if (!this.router.currentRoute || !root.querySelectorAll) return;
+
+		const links = [...root.querySelectorAll(this.config.linkSelector)];
+		if (root.matches && root.matches(this.config.linkSelector)) {
+			links.push(root);
+		}
+		links.filter((link) => this.ownsLink(link)).forEach((link) => this.updateLinkState(link));
+	}
+
+	/**
+	 * Mark a single link - exact when it points at the current path, active when it
+	 * is exact or (with prefix matching) points at a parent section of it
+	 */
+	updateLinkState(link) {
+		const path = this.getLinkPath(link);
+		const current = this.router.parsePath(this.router.currentRoute.fullPath).pathname;
+		const target = path ? this.router.parsePath(path).pathname : null;
+		const match = link.dataset.activeMatch || this.config.activeMatch;
+
+		const exact = target !== null && target === current;
+		const section = target === "/" ? "/" : `${target}/`;
+		const active = exact || (target !== null && match === "prefix" && current.startsWith(section));
+
+		link.classList.toggle(this.config.exactActiveClass, exact);
+		link.classList.toggle(this.config.activeClass, active);
+		if (exact) {
+			link.setAttribute("aria-current", "page");
+		} else {
+			link.removeAttribute("aria-current");
 		}
 	}
 
@@ -253,14 +439,17 @@ export class MicroFramework {
 	 */
 	handleInitialRoute() {
 		const initialPath = this.router.getCurrentRoute();
-		this.router.navigate(initialPath, {skipHistory: true});
+		this.router.navigate(initialPath, {
+			skipHistory: true,
+			state: this.router.getCurrentState(),
+		}).catch((error) => console.error("Navigation error:", error));
 	}
 
 	/**
-	 * Register a module
+	 * Register a module - options.prefix mounts its routes under a path
 	 */
-	registerModule(name, module) {
-		return this.moduleManager.registerModule(name, module);
+	registerModule(name, module, options = {}) {
+		return this.moduleManager.registerModule(name, module, options);
 	}
 
 	/**
@@ -270,6 +459,28 @@ export class MicroFramework {
 		return this.moduleManager.unregisterModule(name);
 	}
 
+	/**
+	 * Get the keepAlive modules cached off-screen, least recently used first
+	 */
+	getCachedModules() {
+		return this.moduleManager.getCachedModules();
+	}
+
+	/**
+	 * Destroy cached keepAlive modules - all, or those of one module name
+	 */
+	async purgeCache(name = null) {
+		return this.moduleManager.purgeCache(name);
+	}
+
+	/**
+	 * Load the module manifest again, or switch to another one (URL or object)
+	 * Modules whose entry changed are imported from the new build when they next mount
+	 */
+	async refreshManifest(source) {
+		return this.moduleManager.refreshManifest(source);
+	}
+
 	/**
 	 * Register a route
 	 */
@@ -278,12 +489,19 @@ export class MicroFramework {
 	}
 
 	/**
-	 * Navigate to a route
+	 * Navigate to a route - path string or { name, params, query, hash }
 	 */
 	async navigate(path, options = {}) {
 		return this.router.navigate(path, options);
 	}
 
+	/**
+	 * Build the URL for a named route
+	 */
+	href(name, params = {}, query = {}) {
+		return this.router.resolve(name, params, query);
+	}
+
 	/**
 	 * Load a module
 	 */
@@ -298,6 +516,13 @@ export class MicroFramework {
 		return this.router.getCurrentRoute();
 	}
 
+	/**
+	 * Framework version - modules can require a range of it
+	 */
+	get version() {
+		return VERSION;
+	}
+
 	// Getter properties for backward compatibility
 	get modules() {
 		return this.moduleManager.getModules();
@@ -331,20 +556,24 @@ export class MicroFramework {
 	}
 
 	/**
-	 * Show error message
+	 * Show error message in the container (or a given element such as a layout outlet)
+	 * With a retry function the Reload button becomes a Try again button
 	 */
-	showError(message, error = null) {
+	showError(message, error = null, target = null, retry = null) {
 		try {
 			this.render(`
                 <div class="mf-error">
                     <h1>Error</h1>
                     <p>${message}</p>
                     ${error ? `<pre>${error.message}</pre>` : ""}
-                    <button class="mf-btn mf-btn-primary" onclick="location.reload()">
+                    ${retry ? `<button class="mf-btn mf-btn-primary" data-retry>
+                        Try again
+                    </button>` : `<button class="mf-btn mf-btn-primary" onclick="location.reload()">
                         Reload
-                    </button>
+                    </button>`}
                 </div>
-            `);
+            `, target);
+			this.bindRetry(target, retry);
 		} catch (containerError) {
 			console.error("Failed to show error in container:", containerError);
 			console.error("Original error:", message, error);
@@ -354,6 +583,22 @@ export class MicroFramework {
 		this.emit(EVENTS.ERROR, {message, error});
 	}
 
+	/**
+	 * Make [data-retry] elements in an error view call retry() - a retry that fails
+	 * before rendering is reported like a failed link navigation
+	 */
+	bindRetry(target, retry) {
+		if (!retry) return;
+		const container = target || this.getContainer();
+		container.querySelectorAll("[data-retry]").forEach((element) => {
+			element.addEventListener("click", () => {
+				Promise.resolve()
+					.then(() => retry())
+					.catch((error) => console.error("Navigation error:", error));
+			});
+		});
+	}
+
 	/**
 	 * Fallback error display when container is unavailable
 	 */
@@ -398,6 +643,7 @@ export class MicroFramework {
 		return {
 			framework: this,
 			navigate: this.navigate.bind(this),
+			href: this.href.bind(this),
 			render: this.render.bind(this),
 			emit: this.emit.bind(this),
 			filter: this.filter.bind(this),
@@ -523,6 +769,12 @@ export class MicroFramework {
 	destroy() {
 		// Remove event listeners
 		this.router.destroy();
+		this.headManager.destroy();
+		this.prefetchManager.destroy();
+		this.regionManager.destroy();
+		if (typeof this.moduleManager.loader.destroy === "function") {
+			this.moduleManager.loader.destroy();
+		}
 		document.removeEventListener("click", this.handleLinkClick);
 
 		// Disconnect container observer
@@ -531,11 +783,21 @@ export class MicroFramework {
 			this.containerObserver = null;
 		}
 
-		// Destroy current module
-		const currentModule = this.moduleManager.getCurrentModule();
-		if (currentModule && currentModule.destroy) {
-			currentModule.destroy();
+		if (this.linkObserver) {
+			this.linkObserver.disconnect();
+			this.linkObserver = null;
+		}
+
+		// Destroy mounted modules, innermost first
+		const mounted = this.moduleManager.getMountedModules().reverse();
+		for (const record of mounted) {
+			if (record.module.destroy) {
+				record.module.destroy();
+			}
 		}
+		this.moduleManager.mountedModules = [];
+		this.moduleManager.currentModule = null;
+		this.moduleManager.purgeCache();
 
 		// Clear container
 		try {
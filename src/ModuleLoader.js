@@ -0,0 +1,280 @@
+import { EVENTS } from './constants.js';
+
+/**
+ * ModuleLoader - Resolves lazily loaded modules through a manifest (URL, version, CSS
+ * and SRI hash per module), falling back to moduleBase + name + '.js'
+ */
+export class ModuleLoader {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.config = {
+            manifest: options.manifest || null, // URL of a JSON manifest, or the manifest object
+            moduleBase: options.moduleBase || './modules/'
+        };
+        this.entries = new Map(); // Module name -> { url, version, integrity, css: [{ url, integrity }] }
+        this.loaded = new Map(); // Module name -> manifest entry it was imported from, null for moduleBase
+        this.stylesheets = new Map(); // Stylesheet URL -> promise of its <link> element
+        this.pendingManifest = null;
+        this.manifestLoaded = false;
+    }
+
+    /**
+     * Import a module - from its manifest entry, or from moduleBase when it has none
+     * The manifest is fetched on first use. Resolves with the module export.
+     */
+    async load(name) {
+        await this.ensureManifest();
+
+        const entry = this.entries.get(name) || null;
+        if (!entry) {
+            const module = await this.importScript(`${this.config.moduleBase}${name}.js`);
+            this.loaded.set(name, null);
+            return module;
+        }
+
+        await Promise.all(entry.css.map(sheet => this.loadStylesheet(sheet, name)));
+        const module = await this.importScript(entry.url, entry.integrity, name);
+        this.removeStaleStylesheets(this.loaded.get(name), entry);
+        this.loaded.set(name, entry);
+
+        if (entry.version && module.version && module.version !== entry.version) {
+            console.warn(`Module '${name}' reports version ${module.version}, the manifest lists ${entry.version}`);
+        }
+        return { ...module, version: module.version || entry.version || undefined };
+    }
+
+    /**
+     * Load the configured manifest once - a failure is logged and retried on the next load
+     */
+    async ensureManifest() {
+        if (!this.config.manifest || this.manifestLoaded) {
+            return;
+        }
+        try {
+            await this.refreshManifest();
+        } catch (error) {
+            console.warn('Could not load module manifest, falling back to moduleBase', error);
+        }
+    }
+
+    /**
+     * Load the manifest again, or switch to another one - a JSON URL or an object
+     * Imported modules whose entry changed are unregistered, so they are imported
+     * from the new build the next time they mount. Concurrent calls share one request.
+     * Resolves with the names of the modules that were unregistered.
+     */
+    refreshManifest(source = this.config.manifest) {
+        if (this.pendingManifest && source === this.config.manifest) {
+            return this.pendingManifest;
+        }
+
+        this.config.manifest = source;
+        const pending = this.fetchManifest(source)
+            .then(entries => this.applyManifest(entries, source))
+            .finally(() => {
+                if (this.pendingManifest === pending) {
+                    this.pendingManifest = null;
+                }
+            });
+        this.pendingManifest = pending;
+        return pending;
+    }
+
+    /**
+     * Read a manifest source into entries - URLs are fetched bypassing the HTTP cache
+     */
+    async fetchManifest(source) {
+        if (!source) {
+            return new Map();
+        }
+        if (typeof source !== 'string') {
+            return this.normalizeManifest(source, this.getDocumentBase());
+        }
+
+        const url = new URL(source, this.getDocumentBase()).href;
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Could not load module manifest from ${url}: ${response.status}`);
+        }
+        return this.normalizeManifest(await response.json(), url);
+    }
+
+    /**
+     * Turn a manifest into entries - { modules: { name: entry } } or a plain map of entries.
+     * An entry is a URL or { url, version, css, integrity }; relative URLs resolve against
+     * the manifest URL, or the document for manifest objects.
+     */
+    normalizeManifest(manifest, baseUrl) {
+        const modules = manifest.modules || manifest;
+        const resolve = url => new URL(url, baseUrl).href;
+
+        return new Map(Object.entries(modules).map(([name, entry]) => {
+            const { url, version = null, integrity = null, css = [] } = typeof entry === 'string' ? { url: entry } : entry;
+            if (!url) {
+                throw new Error(`Manifest entry for module '${name}' has no url`);
+            }
+
+            return [name, {
+                url: resolve(url),
+                version,
+                integrity,
+                css: [].concat(css).map(sheet => (typeof sheet === 'string'
+                    ? { url: resolve(sheet), integrity: null }
+                    : { url: resolve(sheet.url), integrity: sheet.integrity || null }))
+            }];
+        }));
+    }
+
+    /**
+     * Swap in new manifest entries and unregister imported modules they change
+     */
+    applyManifest(entries, source) {
+        const moduleManager = this.framework.moduleManager;
+        const stale = [...this.loaded.keys()].filter(name =>
+            JSON.stringify(this.loaded.get(name)) !== JSON.stringify(entries.get(name) || null));
+
+        this.entries = entries;
+        this.manifestLoaded = true;
+
+        // Their loaded entry stays until the new build is imported, to swap stylesheets then
+        stale.forEach(name => {
+            if (moduleManager.modules.has(name)) {
+                moduleManager.unregisterModule(name);
+            }
+        });
+
+        console.log(`Module manifest loaded with ${entries.size} modules${stale.length ? `, ${stale.length} updated` : ''}`);
+        this.framework.emit(EVENTS.MODULE_MANIFEST_LOADED, {
+            source: typeof source === 'string' ? source : null,
+            modules: [...entries.keys()],
+            updated: stale
+        });
+        return stale;
+    }
+
+    /**
+     * Import a module script. With an integrity hash it is preloaded through
+     * <link rel="modulepreload">, which the browser checks before the import reuses it.
+     * Browsers without modulepreload can't check the script import() runs, so such a
+     * module isn't loaded there at all.
+     */
+    async importScript(url, integrity = null, name = null) {
+        let preload = null;
+        if (integrity) {
+            if (!this.supportsModulePreload()) {
+                throw new Error(`Module '${name}' has an integrity hash, but this browser can't verify module scripts (no modulepreload support)`);
+            }
+            try {
+                preload = await this.insertLink({ rel: 'modulepreload', href: url, integrity, crossOrigin: 'anonymous' });
+            } catch (error) {
+                if (error.link) {
+                    error.link.remove();
+                }
+                throw new Error(`Could not verify module '${name}' at ${url} - network error or integrity mismatch`);
+            }
+        }
+
+        try {
+            const moduleExport = await import(url);
+            return moduleExport.default || moduleExport;
+        } finally {
+            if (preload) {
+                preload.remove(); // The module map keeps the verified module
+            }
+        }
+    }
+
+    /**
+     * Add a module's stylesheet to the document head - each URL is added once
+     */
+    loadStylesheet(sheet, name) {
+        if (!this.stylesheets.has(sheet.url)) {
+            const attributes = { rel: 'stylesheet', href: sheet.url };
+            if (sheet.integrity) {
+                Object.assign(attributes, { integrity: sheet.integrity, crossOrigin: 'anonymous' });
+            }
+
+            const loading = this.insertLink(attributes).catch(error => {
+                this.stylesheets.delete(sheet.url);
+                error.link.remove();
+                throw new Error(`Could not load stylesheet ${sheet.url} for module '${name}'`);
+            });
+            this.stylesheets.set(sheet.url, loading);
+        }
+        return this.stylesheets.get(sheet.url);
+    }
+
+    /**
+     * Remove the stylesheets of a module's previous build that its new build dropped
+     */
+    removeStaleStylesheets(previous, entry) {
+        if (!previous) {
+            return;
+        }
+
+        const kept = new Set(entry.css.map(sheet => sheet.url));
+        const inUse = new Set([...this.loaded.values()]
+            .filter(loaded => loaded && loaded !== previous)
+            .flatMap(loaded => loaded.css.map(sheet => sheet.url)));
+
+        previous.css
+            .filter(sheet => !kept.has(sheet.url) && !inUse.has(sheet.url))
+            .forEach(sheet => {
+                const loading = this.stylesheets.get(sheet.url);
+                this.stylesheets.delete(sheet.url);
+                loading.then(link => link.remove(), () => {});
+            });
+    }
+
+    /**
+     * Append a <link> to the head - resolves with it once loaded, rejects on a network
+     * or integrity error (the rejection carries the element as error.link)
+     */
+    insertLink(attributes) {
+        return new Promise((resolve, reject) => {
+            const link = document.createElement('link');
+            Object.assign(link, attributes);
+            link.addEventListener('load', () => resolve(link), { once: true });
+            link.addEventListener('error', () => {
+                const error = new Error(`Could not load ${attributes.href}`);
+                error.link = link;
+                reject(error);
+            }, { once: true });
+            document.head.appendChild(link);
+        });
+    }
+
+    /**
+     * Whether the browser supports <link rel="modulepreload">
+     */
+    supportsModulePreload() {
+        try {
+            return document.createElement('link').relList.supports('modulepreload');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * URL relative manifest URLs resolve against
+     */
+    getDocumentBase() {
+        return typeof document !== 'undefined' ? document.baseURI : undefined;
+    }
+
+    /**
+     * Get a module's manifest entry, or null when it loads from moduleBase
+     */
+    getEntry(name) {
+        return this.entries.get(name) || null;
+    }
+
+    /**
+     * Remove the stylesheets added for modules
+     */
+    destroy() {
+        this.stylesheets.forEach(loading => loading.then(link => link.remove(), () => {}));
+        this.stylesheets.clear();
+        this.loaded.clear();
+    }
+}
@@ -1,4 +1,6 @@
-import { EVENTS } from './constants.js';
+import { EVENTS, VERSION } from './constants.js';
+import { ModuleLoader } from './ModuleLoader.js';
+import { isValidVersion, satisfies } from './semver.js';
 
 /**
  * ModuleManager - Handles module registration, loading, and lifecycle
@@ -8,29 +10,72 @@ export class ModuleManager {
         this.framework = framework;
         this.modules = new Map();
         this.currentModule = null;
+        this.mountedModules = []; // Mounted chain, outermost layout first: { name, module, params, container, outlet }
+        this.regionModules = new Map(); // Region name -> mounted chain of a named region
+        this.pendingImports = new Map(); // Module name -> dynamic import in flight
+        this.keepAliveCache = new Map(); // 'region:name' -> detached keepAlive module, least recently used first
         this.config = {
             moduleBase: options.moduleBase || './modules/',
-            lazy: options.lazy !== false
+            lazy: options.lazy !== false,
+            // Registering a name again with another version: 'replace', 'reject' or
+            // 'keep' (the registered one keeps the name, both stay reachable as name@version)
+            versionPolicy: options.versionPolicy || 'replace',
+            keepAliveMax: options.keepAliveMax ?? 10 // Cached keepAlive modules before the least recently used is destroyed
         };
+        // Lazily loaded modules are imported through the loader - a custom one only needs load(name)
+        this.loader = options.loader || new ModuleLoader(framework, {
+            manifest: options.manifest,
+            moduleBase: this.config.moduleBase
+        });
     }
 
     /**
      * Register a module
+     * Options: prefix (mount point for the module's routes, overrides module.basePath)
+     * Returns false when the module was rejected - MODULE_ERROR names the conflict
      */
-    registerModule(name, module) {
+    registerModule(name, module, options = {}) {
         if (typeof module !== 'object' || !module.render) {
             throw new Error('Module must be an object with a render method');
         }
 
+        if (module.version !== undefined && !isValidVersion(module.version)) {
+            return this.rejectModule(name, `Module '${name}' has an invalid version '${module.version}' - use major.minor.patch, e.g. '1.2.0'`, []);
+        }
+
+        // Requirements on registered modules and the framework are checked now,
+        // those on modules that aren't registered yet once they are, before mounting
+        const conflicts = this.getRequirementConflicts(module);
+        if (conflicts.length) {
+            return this.rejectModule(name, `Module '${name}' is incompatible: ${conflicts.map(conflict => conflict.message).join('; ')}`, conflicts);
+        }
+
+        let registerRoutes = true;
+        const existing = this.modules.get(name);
+        if (existing && existing.version && module.version && existing.version !== module.version) {
+            if (this.config.versionPolicy === 'reject') {
+                return this.rejectModule(name, `Module '${name}' ${existing.version} is already registered, rejected ${module.version}`, []);
+            }
+            if (this.config.versionPolicy === 'keep') {
+                this.modules.set(`${existing.name}@${existing.version}`, existing);
+                name = `${name}@${module.version}`;
+                registerRoutes = false; // Routes keep pointing at the registered version
+            }
+        }
+
+        const basePath = this.normalizeBasePath(options.prefix ?? module.basePath);
+        const prefixPath = path => (basePath ? this.framework.router.joinPaths(basePath, path) : path);
+
         this.modules.set(name, {
             name,
-            ...module
+            ...module,
+            basePath
         });
 
         // Call onRegister lifecycle hook if defined
         if (module.onRegister) {
             try {
-                module.onRegister(this.framework.getContext());
+                module.onRegister({ ...this.framework.getContext(), basePath });
                 console.log(`Module '${name}' onRegister hook executed`);
             } catch (error) {
                 console.error(`Error in onRegister hook for module '${name}':`, error);
@@ -38,14 +83,14 @@ export class ModuleManager {
         }
 
         // Auto-register routes if module defines them
-        if (module.routes) {
+        if (module.routes && registerRoutes) {
             let routeCount = 0;
             
             if (Array.isArray(module.routes)) {
                 // Legacy array format - still supported
                 module.routes.forEach(routeConfig => {
                     if (typeof routeConfig === 'string') {
-                        this.framework.router.registerRoute(routeConfig, { 
+                        this.framework.router.registerRoute(prefixPath(routeConfig), { 
                             module: name,
                             handler: 'default'
                         });
@@ -57,7 +102,7 @@ export class ModuleManager {
                             ...routeConfig
                         };
                         delete options.path;
-                        this.framework.router.registerRoute(routeConfig.path, options);
+                        this.framework.router.registerRoute(prefixPath(routeConfig.path), this.prefixRouteOptions(options, prefixPath));
                         routeCount++;
                     }
                 });
@@ -76,18 +121,120 @@ export class ModuleManager {
                         // Don't set options.handler - module loading is sufficient
                     }
                     
-                    this.framework.router.registerRoute(path, options);
+                    this.framework.router.registerRoute(prefixPath(path), this.prefixRouteOptions(options, prefixPath));
                     routeCount++;
                 });
             }
             
             if (routeCount > 0) {
-                console.log(`Auto-registered ${routeCount} routes for module '${name}'`);
+                console.log(`Auto-registered ${routeCount} routes for module '${name}'${basePath ? ` under '${basePath}'` : ''}`);
             }
         }
 
         this.framework.emit(EVENTS.MODULE_REGISTERED, { name, module });
         console.log(`Module '${name}' registered`);
+        return true;
+    }
+
+    /**
+     * Check a module's `requires` ranges against the framework and registered module versions
+     * Modules that aren't registered yet only count as conflicts with includeMissing
+     */
+    getRequirementConflicts(module, includeMissing = false) {
+        return Object.entries(module.requires || {}).flatMap(([dependency, range]) => {
+            const registered = dependency === 'framework' ? [] : this.getRegisteredVersions(dependency);
+            if (dependency !== 'framework' && !registered.length) {
+                return includeMissing
+                    ? [{ name: dependency, range, version: null, message: `requires ${dependency} ${range}, which is not registered` }]
+                    : [];
+            }
+
+            // Any version kept under 'keep' can satisfy the requirement
+            const versions = dependency === 'framework' ? [VERSION] : registered.map(entry => entry.version || null);
+            const version = versions.filter(Boolean).join(', ') || null;
+            let compatible;
+            try {
+                compatible = versions.some(candidate => candidate !== null && satisfies(candidate, range));
+            } catch (error) {
+                return [{ name: dependency, range, version, message: error.message }];
+            }
+            return compatible
+                ? []
+                : [{ name: dependency, range, version, message: `requires ${dependency} ${range}, found ${version || 'no version'}` }];
+        });
+    }
+
+    /**
+     * Get the registered modules a `requires` key refers to - 'users' covers the module
+     * registered as users and the versions kept as users@x.y.z, 'users@2.0.0' only that version
+     */
+    getRegisteredVersions(dependency) {
+        const at = dependency.lastIndexOf('@');
+        const name = at > 0 ? dependency.slice(0, at) : dependency;
+        const version = at > 0 ? dependency.slice(at + 1) : null;
+
+        // Under 'keep' the first version is registered under both users and users@1.4.0
+        const registered = new Set([...this.modules.entries()]
+            .filter(([key]) => key === name || key.startsWith(`${name}@`))
+            .map(([, module]) => module));
+        return [...registered].filter(module => version === null || module.version === version);
+    }
+
+    /**
+     * Refuse to register a module - reported through MODULE_ERROR
+     */
+    rejectModule(name, message, conflicts) {
+        const error = new Error(message);
+        console.error(message);
+        this.framework.emit(EVENTS.MODULE_ERROR, { name, error, conflicts });
+        return false;
+    }
+
+    /**
+     * Normalize a module prefix to '/segment' form - empty or '/' means no prefix
+     */
+    normalizeBasePath(prefix) {
+        if (!prefix || typeof prefix !== 'string') {
+            return '';
+        }
+        const trimmed = prefix.replace(/^\/+|\/+$/g, '');
+        return trimmed ? `/${trimmed}` : '';
+    }
+
+    /**
+     * Move the aliases and path redirects of a module route under its mount point
+     * Redirects of child routes are prefixed too - their aliases are relative to the parent already
+     */
+    prefixRouteOptions(options, prefixPath, nested = false) {
+        const prefixed = { ...options };
+
+        if (prefixed.alias && !nested) {
+            prefixed.alias = [].concat(prefixed.alias).map(prefixPath);
+        }
+        if (typeof prefixed.redirect === 'string') {
+            prefixed.redirect = prefixPath(prefixed.redirect);
+        } else if (prefixed.redirect && typeof prefixed.redirect === 'object' && prefixed.redirect.path) {
+            prefixed.redirect = { ...prefixed.redirect, path: prefixPath(prefixed.redirect.path) };
+        }
+
+        const prefixChild = child => (typeof child === 'object' && child !== null
+            ? this.prefixRouteOptions(child, prefixPath, true)
+            : child);
+        if (Array.isArray(prefixed.children)) {
+            prefixed.children = prefixed.children.map(prefixChild);
+        } else if (prefixed.children && typeof prefixed.children === 'object') {
+            prefixed.children = Object.fromEntries(Object.entries(prefixed.children)
+                .map(([path, child]) => [path, prefixChild(child)]));
+        }
+        return prefixed;
+    }
+
+    /**
+     * Get the mount point a registered module's routes live under
+     */
+    getBasePath(name) {
+        const module = this.modules.get(name);
+        return module ? module.basePath || '' : '';
     }
 
     /**
@@ -118,7 +265,12 @@ export class ModuleManager {
     unregisterModule(name) {
         const module = this.modules.get(name);
         if (module) {
+            const dependents = this.getDependents(name);
+            if (dependents.length) {
+                console.warn(`Module '${name}' is still a dependency of: ${dependents.join(', ')}`);
+            }
             this.modules.delete(name);
+            this.purgeCache(name);
             this.framework.emit(EVENTS.MODULE_UNREGISTERED, { name, module });
             console.log(`Module '${name}' unregistered`);
         }
@@ -126,12 +278,33 @@ export class ModuleManager {
 
     /**
      * Load a module
+     * Options: depth (nesting level), container (defaults to the framework container),
+     * layout (module exposes an outlet for child routes and stays mounted while
+     * navigating between them) and context (navigation context, its signal aborts loading).
+     * Failures render an error view in the container - route, level and retry tell the
+     * router which errorHandler applies and what "try again" does. A transition and
+     * direction animate the swap when a module is replaced. A region name mounts the
+     * module in that named region instead of the main container.
+     * Resolves with the outlet or container, or null on failure or abort.
      */
-    async loadModule(name, params = {}) {
-        this.framework.showLoading(true);
+    async loadModule(name, params = {}, options = {}) {
+        const depth = options.depth || 0;
+        const region = options.region || null;
+        const stack = this.getStack(region);
+        const mounted = stack[depth];
+        const context = options.context || this.framework.getContext();
+        const isAborted = () => Boolean(context.signal && context.signal.aborted);
+
+        // Layout already mounted at this level - keep it, the next level replaces its outlet content
+        if (options.layout && mounted && mounted.name === name && mounted.outlet && mounted.outlet.isConnected) {
+            return mounted.outlet;
+        }
+
+        this.setLoading(true, region);
+        let module = null;
 
         try {
-            let module = this.modules.get(name);
+            module = this.modules.get(name);
 
             // Try dynamic import if module not found
             if (!module && this.config.lazy) {
@@ -142,61 +315,448 @@ export class ModuleManager {
                 throw new Error(`Module '${name}' not found`);
             }
 
+            // Modules it depends on are registered before its hooks run
+            await this.resolveDependencies(name);
+            const conflicts = this.getRequirementConflicts(module, true);
+            if (conflicts.length) {
+                throw new Error(`Module '${name}' is incompatible: ${conflicts.map(conflict => conflict.message).join('; ')}`);
+            }
+
+            // Modules build their links from their own mount point
+            const moduleContext = { ...context, basePath: module.basePath || '' };
+
+            // A cached keepAlive module comes back with its DOM - activated replaces the mount hooks
+            let cached = await this.getCacheEntry(name, module, region, params);
+
             // Call beforeMount hook
-            if (module.beforeMount) {
-                await module.beforeMount(params, this.framework.getContext());
+            if (!cached && module.beforeMount) {
+                await module.beforeMount(params, moduleContext);
             }
 
-            // Destroy current module
-            if (this.currentModule && this.currentModule.destroy) {
-                await this.currentModule.destroy();
+            // Superseded before anything was touched - leave the current modules alone
+            if (isAborted()) {
+                return null;
+            }
+
+            // Taken out of the cache so caching the leaving modules can't evict it
+            if (cached) {
+                this.keepAliveCache.delete(cached.key);
+            }
+
+            // Modules mounted at this level and below are replaced - with a transition
+            // they are destroyed once the leave animation has finished, except the module
+            // mounted again here, which is cleaned up before it renders
+            const leaving = this.detach(depth, region);
+            const transition = leaving.length
+                ? this.framework.transitionManager.resolve(options.transition)
+                : null;
+            const deferred = transition ? leaving.filter(leavingRecord => leavingRecord.module !== module) : [];
+            await this.destroyRecords(leaving.filter(leavingRecord => !deferred.includes(leavingRecord)));
+
+            // The same module was cached just now - it comes back as it was, or is destroyed
+            // before rendering again when its params changed
+            if (!cached && (cached = await this.getCacheEntry(name, module, region, params))) {
+                this.keepAliveCache.delete(cached.key);
             }
 
             // Clear container and render new module
-            const container = this.framework.getContainer();
-            container.innerHTML = '';
-            await module.render(container, params, this.framework.getContext());
+            const container = options.container || this.framework.getContainer(region);
+            const record = { name, module, params, container, outlet: null, region, mounted: false };
+
+            await this.framework.transitionManager.run(container, async () => {
+                container.innerHTML = '';
 
-            // Call afterMount hook
-            if (module.afterMount) {
-                await module.afterMount(container, params, this.framework.getContext());
+                // Track the module as soon as it renders so a newer navigation can destroy it
+                stack[depth] = record;
+                if (!region) {
+                    this.currentModule = module;
+                }
+                if (cached) {
+                    this.restoreCacheEntry(cached, container);
+                } else {
+                    await module.render(container, params, moduleContext);
+                }
+            }, {
+                transition,
+                direction: options.direction,
+                onFinish: () => this.destroyRecords(deferred)
+            });
+            if (isAborted()) {
+                return null;
             }
 
-            this.currentModule = module;
-            this.framework.emit(EVENTS.MODULE_LOAD, { name, module, params });
-            
+            // Call afterMount hook, or activated for a module restored from the cache
+            const mountHook = cached ? module.activated : module.afterMount;
+            if (mountHook) {
+                await mountHook.call(module, container, params, moduleContext);
+                if (isAborted()) {
+                    return null;
+                }
+            }
+
+            if (options.layout) {
+                record.outlet = this.getOutlet(record);
+            }
+            record.mounted = true;
+
+            this.framework.emit(EVENTS.MODULE_LOAD, { name, module, params, cached: Boolean(cached) });
+
+            return record.outlet || container;
         } catch (error) {
+            if (isAborted()) {
+                return null;
+            }
             this.framework.emit(EVENTS.MODULE_ERROR, { name, error });
-            this.framework.showError(`Failed to load module: ${name}`, error);
+
+            // Drop the half-mounted module and show an error view in its place
+            await this.unmount(depth, region);
+            await this.framework.router.handleError(error, {
+                message: `Failed to load module: ${name}`,
+                route: options.route || null,
+                level: options.level,
+                module,
+                depth,
+                target: options.container || null,
+                retry: options.retry || (() => this.loadModule(name, params, options)),
+                errorView: options.errorView,
+                region
+            });
+            return null;
         } finally {
-            this.framework.showLoading(false);
+            this.setLoading(false, region);
         }
     }
 
     /**
-     * Dynamic module import
+     * Get the mounted chain of a region - the main container when no region is given
      */
-    async dynamicImport(name) {
-        try {
-            const modulePath = `${this.config.moduleBase}${name}.js`;
-            const moduleExport = await import(modulePath);
-            const module = moduleExport.default || moduleExport;
-            
-            if (module) {
-                this.registerModule(name, module);
-                return this.modules.get(name);
+    getStack(region = null) {
+        if (!region) {
+            return this.mountedModules;
+        }
+        if (!this.regionModules.has(region)) {
+            this.regionModules.set(region, []);
+        }
+        return this.regionModules.get(region);
+    }
+
+    /**
+     * Loading state of the main container or a named region
+     */
+    setLoading(show, region = null) {
+        if (region) {
+            this.framework.regionManager.setLoading(region, show);
+        } else {
+            this.framework.showLoading(show);
+        }
+    }
+
+    /**
+     * Find the element a layout module renders its child routes into
+     * Modules can set `outlet` to a selector or a function receiving the container
+     */
+    getOutlet(record) {
+        const { name, module, container } = record;
+        const outlet = typeof module.outlet === 'function'
+            ? module.outlet(container)
+            : container.querySelector(module.outlet || '[data-outlet]');
+
+        if (!outlet) {
+            throw new Error(`Layout module '${name}' does not expose an outlet element`);
+        }
+        return outlet;
+    }
+
+    /**
+     * Destroy mounted modules from the given depth down, innermost first
+     * keepAlive modules are cached instead unless keepAlive is false
+     */
+    async unmount(depth = 0, region = null, keepAlive = true) {
+        await this.destroyRecords(this.detach(depth, region), keepAlive);
+    }
+
+    /**
+     * Remove mounted modules from the given depth down without destroying them
+     * Returns the removed records, innermost first. keepAlive modules remember their
+     * DOM and scroll positions now, before a transition or the next render moves them.
+     */
+    detach(depth = 0, region = null) {
+        const stack = this.getStack(region);
+        const records = stack.splice(depth).reverse();
+
+        records.filter(record => this.canKeepAlive(record)).forEach(record => {
+            record.nodes = [...record.container.childNodes];
+            record.scroll = this.captureScroll(record.nodes);
+        });
+
+        if (!region) {
+            const parent = stack[stack.length - 1];
+            this.currentModule = parent ? parent.module : null;
+        }
+        return records;
+    }
+
+    /**
+     * Call destroy on detached module records, in order - keepAlive modules are cached
+     * instead, unless keepAlive is false or the module was mounted again meanwhile
+     */
+    async destroyRecords(records, keepAlive = true) {
+        for (const record of records) {
+            if (!record) {
+                continue;
+            }
+            if (keepAlive && record.nodes && !this.getStack(record.region).some(mounted => mounted.module === record.module)) {
+                await this.cacheRecord(record);
+            } else if (record.module.destroy) {
+                await record.module.destroy();
+            }
+        }
+    }
+
+    /**
+     * Whether a mounted module goes into the keepAlive cache when it leaves
+     */
+    canKeepAlive(record) {
+        return Boolean(record && record.mounted && record.module.keepAlive && this.config.keepAliveMax > 0);
+    }
+
+    /**
+     * Get the scroll positions of scrolled elements within a module's DOM
+     */
+    captureScroll(nodes) {
+        return nodes
+            .filter(node => node.nodeType === 1)
+            .flatMap(node => [node, ...node.querySelectorAll('*')])
+            .filter(element => element.scrollTop || element.scrollLeft)
+            .map(element => ({ element, top: element.scrollTop, left: element.scrollLeft }));
+    }
+
+    /**
+     * Move a detached module's DOM into the keepAlive cache and call its deactivated hook
+     * Past keepAliveMax, the least recently used cached module is destroyed
+     */
+    async cacheRecord(record) {
+        const { name, module, region, params } = record;
+        const key = `${region || 'main'}:${name}`;
+
+        // Child routes were cached or destroyed already - don't keep their leftovers
+        if (record.outlet) {
+            record.outlet.innerHTML = '';
+        }
+        const fragment = document.createDocumentFragment();
+        record.nodes.forEach(node => fragment.appendChild(node));
+
+        this.keepAliveCache.delete(key);
+        this.keepAliveCache.set(key, { key, name, module, region, params, fragment, scroll: record.scroll, cachedAt: Date.now() });
+
+        if (module.deactivated) {
+            try {
+                await module.deactivated();
+            } catch (error) {
+                console.error(`Error in deactivated hook for module '${name}':`, error);
+            }
+        }
+
+        while (this.keepAliveCache.size > this.config.keepAliveMax) {
+            const [oldest] = this.keepAliveCache.keys();
+            await this.purgeCache(entry => entry.key === oldest);
+        }
+    }
+
+    /**
+     * Get the cache entry of a module in a region for the given params - an entry of an
+     * older build or cached with other params is destroyed, so the module renders anew
+     */
+    async getCacheEntry(name, module, region = null, params = {}) {
+        const entry = this.keepAliveCache.get(`${region || 'main'}:${name}`);
+        if (entry && (entry.module !== module || JSON.stringify(entry.params) !== JSON.stringify(params))) {
+            await this.purgeCache(cached => cached === entry);
+            return null;
+        }
+        return entry || null;
+    }
+
+    /**
+     * Put a cached module's DOM back into a container and restore its scroll positions
+     */
+    restoreCacheEntry(entry, container) {
+        container.appendChild(entry.fragment);
+        entry.scroll.forEach(({ element, top, left }) => {
+            element.scrollTop = top;
+            element.scrollLeft = left;
+        });
+    }
+
+    /**
+     * Get the cached keepAlive modules, least recently used first
+     */
+    getCachedModules() {
+        return [...this.keepAliveCache.values()].map(({ name, region, params, cachedAt }) => ({ name, region, params, cachedAt }));
+    }
+
+    /**
+     * Destroy cached keepAlive modules - all of them, those of a module name, or those matching a filter
+     * Resolves with the number of modules purged
+     */
+    async purgeCache(filter = null) {
+        const matches = typeof filter === 'function' ? filter : entry => filter === null || entry.name === filter;
+        const purged = [...this.keepAliveCache.values()].filter(matches);
+        purged.forEach(entry => this.keepAliveCache.delete(entry.key));
+
+        for (const entry of purged) {
+            if (entry.module.destroy) {
+                try {
+                    await entry.module.destroy();
+                } catch (error) {
+                    console.error(`Error destroying cached module '${entry.name}':`, error);
+                }
             }
+        }
+        return purged.length;
+    }
+
+    /**
+     * Dynamic module import - concurrent imports of the same module share one request
+     * chain lists the dependents waiting on this import, for cycle detection
+     */
+    dynamicImport(name, chain = []) {
+        if (!this.pendingImports.has(name)) {
+            const pending = this.importModule(name, chain).finally(() => this.pendingImports.delete(name));
+            this.pendingImports.set(name, pending);
+        }
+        return this.pendingImports.get(name);
+    }
+
+    /**
+     * Load the module manifest again, or switch to another one
+     */
+    async refreshManifest(source) {
+        if (typeof this.loader.refreshManifest !== 'function') {
+            throw new Error('The module loader does not support manifests');
+        }
+        return this.loader.refreshManifest(source);
+    }
+
+    /**
+     * Warm a lazily loaded module and its dependencies without mounting it
+     */
+    async prefetchModule(name) {
+        if (this.modules.has(name) || !this.config.lazy) {
+            return this.modules.get(name) || null;
+        }
+        const module = await this.dynamicImport(name);
+        if (module) {
+            await this.resolveDependencies(name);
+        }
+        return module;
+    }
+
+    /**
+     * Make sure the modules a module depends on are registered, importing missing ones.
+     * Dependencies resolve depth first in declared order, so each one is registered before
+     * its dependents. Resolves with the load order, the module itself last.
+     */
+    async resolveDependencies(name, chain = [], order = []) {
+        if (chain.includes(name)) {
+            throw new Error(`Circular module dependency: ${[...chain, name].join(' -> ')}`);
+        }
+        if (order.includes(name)) {
+            return order;
+        }
+
+        let module = this.modules.get(name);
+        if (!module && this.config.lazy) {
+            module = await this.dynamicImport(name, chain);
+        }
+        if (!module) {
+            const dependent = chain[chain.length - 1];
+            throw new Error(dependent
+                ? `Module '${dependent}' depends on '${name}', which could not be found`
+                : `Module '${name}' not found`);
+        }
+
+        for (const dependency of module.dependencies || []) {
+            await this.resolveDependencies(dependency, [...chain, name], order);
+        }
+
+        order.push(name);
+        return order;
+    }
+
+    /**
+     * Get the declared dependencies of every registered module - for debugging
+     */
+    getDependencyGraph() {
+        const graph = {};
+        this.modules.forEach((module, name) => {
+            graph[name] = [...(module.dependencies || [])];
+        });
+        return graph;
+    }
+
+    /**
+     * Get the registered modules that declare a dependency on a module
+     */
+    getDependents(name) {
+        return [...this.modules.values()]
+            .filter(module => (module.dependencies || []).includes(name))
+            .map(module => module.name);
+    }
+
+    /**
+     * Import and register a module through the loader - from the manifest or moduleBase
+     * Its dependencies are registered first, so onRegister can already rely on them
+     */
+    async importModule(name, chain = []) {
+        let module = null;
+        try {
+            module = await this.loader.load(name);
+        } catch (error) {
+            console.warn(`Could not dynamically import module: ${name}`, error);
+            return null;
+        }
+
+        if (!module) {
+            return null;
+        }
+
+        for (const dependency of module.dependencies || []) {
+            await this.resolveDependencies(dependency, [...chain, name]);
+        }
+
+        try {
+            this.registerModule(name, module);
+            return this.modules.get(name);
         } catch (error) {
             console.warn(`Could not dynamically import module: ${name}`, error);
+            return null;
         }
-        return null;
     }
 
     /**
-     * Get current module
+     * Get current module - of the main container, or of a named region
+     */
+    getCurrentModule(region = null) {
+        if (!region) {
+            return this.currentModule;
+        }
+        const stack = this.getStack(region);
+        return stack.length ? stack[stack.length - 1].module : null;
+    }
+
+    /**
+     * Get the mounted module chain, outermost layout first - of the main container or a region
+     */
+    getMountedModules(region = null) {
+        return [...this.getStack(region)];
+    }
+
+    /**
+     * Whether any mounted module, in any region, reports unsaved changes through isDirty()
      */
-    getCurrentModule() {
-        return this.currentModule;
+    hasUnsavedChanges() {
+        return [this.mountedModules, ...this.regionModules.values()].some(stack =>
+            stack.some(record => typeof record.module.isDirty === 'function' && record.module.isDirty()));
     }
 
     /**
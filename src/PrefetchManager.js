@@ -0,0 +1,182 @@
+import { EVENTS } from './constants.js';
+
+/**
+ * PrefetchManager - Warms module imports and route loader data for links before they are clicked
+ */
+export class PrefetchManager {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.config = {
+            strategy: options.strategy || null, // Default for links without data-prefetch: 'hover' | 'visible' | 'idle'
+            maxAge: options.maxAge ?? 30000 // Don't prefetch the same path again within this many ms
+        };
+        this.prefetched = new Map(); // Route fullPath -> time of the last prefetch
+        this.pending = new Map(); // Route fullPath -> prefetch in flight
+        this.observedLinks = new WeakSet();
+        this.visibilityObserver = null;
+
+        // Bind methods
+        this.handlePointer = this.handlePointer.bind(this);
+    }
+
+    /**
+     * Start listening for hover/focus and look for links to prefetch
+     */
+    initialize() {
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        document.addEventListener('mouseover', this.handlePointer);
+        document.addEventListener('focusin', this.handlePointer);
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.visibilityObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.visibilityObserver.unobserve(entry.target);
+                        this.prefetchLink(entry.target, 'visible');
+                    }
+                });
+            });
+        }
+
+        this.observeLinks(document);
+    }
+
+    /**
+     * Get the prefetch strategy for a link - data-prefetch wins over the default
+     */
+    getStrategy(link) {
+        const strategy = link.dataset.prefetch ?? this.config.strategy;
+        return strategy && strategy !== 'none' && strategy !== 'false' ? strategy : null;
+    }
+
+    /**
+     * Prefetch hover links when the pointer or keyboard focus reaches them
+     */
+    handlePointer(event) {
+        const link = event.target.closest && event.target.closest(this.framework.config.linkSelector);
+        if (link && this.framework.ownsLink(link) && this.getStrategy(link) === 'hover') {
+            this.prefetchLink(link, event.type === 'focusin' ? 'focus' : 'hover');
+        }
+    }
+
+    /**
+     * Schedule prefetching for visible and idle links inside root
+     */
+    observeLinks(root) {
+        if (!root.querySelectorAll) {
+            return;
+        }
+
+        const links = [...root.querySelectorAll(this.framework.config.linkSelector)];
+        if (root.matches && root.matches(this.framework.config.linkSelector)) {
+            links.push(root);
+        }
+
+        links.forEach(link => {
+            if (this.observedLinks.has(link) || !this.framework.ownsLink(link)) {
+                return;
+            }
+
+            const strategy = this.getStrategy(link);
+            if (strategy === 'visible' && this.visibilityObserver) {
+                this.observedLinks.add(link);
+                this.visibilityObserver.observe(link);
+            } else if (strategy === 'idle') {
+                this.observedLinks.add(link);
+                const whenIdle = typeof requestIdleCallback === 'function'
+                    ? requestIdleCallback
+                    : callback => setTimeout(callback, 1);
+                whenIdle(() => this.prefetchLink(link, 'idle'));
+            }
+        });
+    }
+
+    /**
+     * Prefetch the route a link points at
+     */
+    prefetchLink(link, trigger) {
+        const path = this.framework.getLinkPath(link);
+        return path ? this.prefetch(path, trigger) : Promise.resolve(null);
+    }
+
+    /**
+     * Warm the modules and loader data of the route a path resolves to
+     * Skipped on data-saver connections, for unknown paths and when everything is already warm
+     */
+    async prefetch(path, trigger = 'manual') {
+        if (this.isSaveData()) {
+            return null;
+        }
+
+        const router = this.framework.router;
+        const moduleManager = this.framework.moduleManager;
+        let route;
+        try {
+            route = router.findMatchingRoute(router.resolvePath(path));
+        } catch (error) {
+            return null; // Unknown named route - nothing to warm
+        }
+        if (!route || route.redirect) {
+            return null;
+        }
+
+        const key = route.fullPath;
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+        if (Date.now() - (this.prefetched.get(key) || -Infinity) < this.config.maxAge) {
+            return null;
+        }
+
+        const modules = route.matched
+            .map(record => record.module)
+            .filter(name => name && !moduleManager.modules.has(name));
+        const data = router.canPrefetchData(route) && !router.hasPrefetchedData(route);
+        if (!modules.length && !data) {
+            return null;
+        }
+
+        this.framework.emit(EVENTS.ROUTE_PREFETCH, { path: key, trigger, modules, data });
+
+        const task = Promise.all([
+            ...modules.map(name => moduleManager.prefetchModule(name)),
+            data ? router.prefetchRouteData(route) : null
+        ])
+            .catch(error => console.warn(`Prefetch failed for '${key}':`, error))
+            .finally(() => {
+                this.pending.delete(key);
+                this.prefetched.set(key, Date.now());
+            });
+
+        this.pending.set(key, task);
+        return task;
+    }
+
+    /**
+     * Whether the user asked the browser to save data
+     */
+    isSaveData() {
+        return typeof navigator !== 'undefined'
+            && Boolean(navigator.connection && navigator.connection.saveData);
+    }
+
+    /**
+     * Stop listening and drop the prefetch bookkeeping
+     */
+    destroy() {
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('mouseover', this.handlePointer);
+            document.removeEventListener('focusin', this.handlePointer);
+        }
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        this.prefetched.clear();
+        this.pending.clear();
+        this.observedLinks = new WeakSet();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,257 @@
+import { EVENTS } from './constants.js';
+
+/**
+ * RegionManager - Named regions next to the main container (header, sidebar, panels),
+ * each with its own module, loading state and container recovery
+ */
+export class RegionManager {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.config = {
+            containers: options.containers || {}, // Region name -> selector or element, the main container excluded
+            modules: options.modules || {} // Region name -> module shown when no route says otherwise
+        };
+        this.regions = new Map(); // Region name -> { name, target, container, loading, observer }
+
+        Object.entries(this.config.containers).forEach(([name, target]) => {
+            this.regions.set(name, { name, target, container: null, loading: false, observer: null });
+        });
+    }
+
+    /**
+     * Find the region containers and watch them for removal
+     * A missing container is looked up again when its region first renders
+     */
+    initialize() {
+        this.regions.forEach(region => {
+            try {
+                this.initializeRegion(region);
+            } catch (error) {
+                console.warn(error.message);
+            }
+        });
+    }
+
+    /**
+     * Resolve a region's container and set up its observer
+     */
+    initializeRegion(region) {
+        if (region.observer) {
+            region.observer.disconnect();
+            region.observer = null;
+        }
+
+        region.container = typeof region.target === 'string'
+            ? document.querySelector(region.target)
+            : region.target;
+
+        if (!region.container) {
+            throw new Error(`Region container '${region.name}' not found`);
+        }
+
+        this.observeRegion(region);
+    }
+
+    /**
+     * Recover a region when its container is removed from the DOM
+     */
+    observeRegion(region) {
+        const parent = region.container.parentNode;
+        if (!parent) {
+            return;
+        }
+
+        region.observer = new MutationObserver(mutations => {
+            const removed = mutations.some(mutation => [...mutation.removedNodes].some(node =>
+                node === region.container || (node.contains && node.contains(region.container))));
+
+            if (removed) {
+                console.warn(`Region '${region.name}' container was removed from DOM`);
+                this.framework.emit(EVENTS.CONTAINER_REMOVED, { region: region.name });
+                region.container = null;
+
+                if (this.framework.isStarted) {
+                    setTimeout(() => this.recover(region.name), 100);
+                }
+            }
+        });
+
+        region.observer.observe(parent, { childList: true, subtree: true });
+    }
+
+    /**
+     * Find the container again and re-render the module the region showed
+     */
+    async recover(name) {
+        const region = this.regions.get(name);
+        try {
+            console.log(`Attempting recovery of region '${name}'...`);
+            this.initializeRegion(region);
+
+            for (const record of this.framework.moduleManager.getMountedModules(name)) {
+                region.container.innerHTML = '';
+                await record.module.render(region.container, record.params, {
+                    ...this.framework.getContext(),
+                    basePath: record.module.basePath || ''
+                });
+                record.container = region.container;
+            }
+
+            this.framework.emit(EVENTS.CONTAINER_RECOVERED, { region: name });
+        } catch (error) {
+            console.error(`Recovery of region '${name}' failed:`, error);
+            this.framework.emit(EVENTS.CONTAINER_RECOVERY_FAILED, { region: name, error });
+        }
+    }
+
+    /**
+     * Whether a region with this name exists
+     */
+    has(name) {
+        return this.regions.has(name);
+    }
+
+    /**
+     * Get the names of all regions
+     */
+    getRegionNames() {
+        return [...this.regions.keys()];
+    }
+
+    /**
+     * Get a region's container, re-initializing it when stale
+     */
+    getContainer(name) {
+        const region = this.regions.get(name);
+        if (!region) {
+            throw new Error(`Unknown region '${name}'`);
+        }
+
+        if (!region.container || !region.container.isConnected) {
+            const stale = Boolean(region.container);
+            this.initializeRegion(region);
+            if (stale) {
+                this.framework.emit(EVENTS.CONTAINER_REINITIALIZED, { region: name });
+            }
+        }
+        return region.container;
+    }
+
+    /**
+     * Get the module each region should show for a route - the framework defaults,
+     * then the `regions` option of each matched route, outermost first
+     */
+    resolveModules(route) {
+        const modules = { ...this.config.modules };
+        route.matched.forEach(record => Object.assign(modules, record.regions || {}));
+        return modules;
+    }
+
+    /**
+     * Render the region modules of a route - regions whose module stays the same are left alone
+     */
+    async update(route, context) {
+        const modules = this.resolveModules(route);
+        Object.keys(modules)
+            .filter(name => !this.regions.has(name))
+            .forEach(name => console.warn(`Route '${route.path}' renders into unknown region '${name}'`));
+
+        const params = { query: route.query, hash: route.hash, ...route.params };
+        await Promise.all(this.getRegionNames().map(name =>
+            this.updateRegion(name, modules[name] || null, params, context, route)));
+    }
+
+    /**
+     * Mount, replace or clear the module of a single region
+     */
+    async updateRegion(name, moduleName, params, context, route) {
+        const moduleManager = this.framework.moduleManager;
+        const [mounted] = moduleManager.getMountedModules(name);
+
+        if (mounted && mounted.name === moduleName && mounted.container.isConnected) {
+            return;
+        }
+
+        let container;
+        try {
+            container = this.getContainer(name);
+        } catch (error) {
+            console.warn(error.message);
+            return;
+        }
+
+        if (!moduleName) {
+            if (mounted) {
+                await moduleManager.unmount(0, name);
+                container.innerHTML = '';
+            }
+            return;
+        }
+
+        // Route error boundaries cover the main container only - level -1 skips them
+        await moduleManager.loadModule(moduleName, params, {
+            region: name,
+            container,
+            context,
+            route,
+            level: -1,
+            transition: null
+        });
+    }
+
+    /**
+     * Get the region module records a navigation to this route would replace
+     */
+    getLeavingModules(to) {
+        const modules = this.resolveModules(to);
+        return this.getRegionNames().flatMap(name => this.framework.moduleManager
+            .getMountedModules(name)
+            .filter(record => record.name !== modules[name]));
+    }
+
+    /**
+     * Set the loading state of a region - aria-busy marks its container while loading
+     */
+    setLoading(name, loading) {
+        const region = this.regions.get(name);
+        if (!region) {
+            return;
+        }
+
+        region.loading = loading;
+        if (region.container) {
+            if (loading) {
+                region.container.setAttribute('aria-busy', 'true');
+            } else {
+                region.container.removeAttribute('aria-busy');
+            }
+        }
+        this.framework.emit(EVENTS.REGION_LOADING_CHANGE, { region: name, loading });
+    }
+
+    /**
+     * Whether a region is loading a module
+     */
+    isLoading(name) {
+        const region = this.regions.get(name);
+        return Boolean(region && region.loading);
+    }
+
+    /**
+     * Stop watching the regions and destroy their modules
+     */
+    destroy() {
+        const moduleManager = this.framework.moduleManager;
+        this.regions.forEach(region => {
+            if (region.observer) {
+                region.observer.disconnect();
+                region.observer = null;
+            }
+            moduleManager.unmount(0, region.name, false);
+            if (region.container) {
+                region.container.innerHTML = '';
+            }
+            region.container = null;
+        });
+    }
+}
@@ -1,4 +1,43 @@
 import { EVENTS } from './constants.js';
+import { ScrollManager } from './ScrollManager.js';
+
+/**
+ * Escape a string for literal use inside a regular expression
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn capturing groups in a user supplied constraint into non-capturing ones,
+ * so they don't shift the parameter group indexes
+ */
+function toNonCapturing(pattern) {
+    return pattern.replace(/\\.|\((?!\?)/g, match => (match === '(' ? '(?:' : match));
+}
+
+/**
+ * Specificity score per segment kind - higher wins when ranking routes.
+ * A route that has run out of segments scores between param and optional param,
+ * so a longer route only wins when its extra segments are required.
+ */
+const SEGMENT_SCORES = {
+    static: 4,
+    constrained: 3,
+    param: 2,
+    missing: 1.5,
+    optional: 1,
+    splat: 0
+};
+
+const SEGMENT_LABELS = {
+    static: 'static segment',
+    constrained: 'constrained param',
+    param: 'param',
+    missing: 'missing segment',
+    optional: 'optional param',
+    splat: 'catch-all'
+};
 
 /**
  * Router - Handles route registration, navigation, and guards
@@ -7,27 +46,84 @@ export class Router {
     constructor(framework, options = {}) {
         this.framework = framework;
         this.routes = new Map();
+        this.compiledPaths = new Map(); // Route pattern -> compiled matcher
+        this.rankedRoutes = null; // Routes sorted by specificity, rebuilt after registration
+        this.namedRoutes = new Map(); // Route name -> route record
         this.currentRoute = null;
+        this.navigationId = 0;
+        this.pendingNavigation = null; // { id, path, controller, signal } of the navigation in flight
+        this.restoringPosition = false; // Set while undoing a cancelled back/forward move
+        this.prefetchedData = new Map(); // Route fullPath -> { results, time, controller, timer } of prefetched loaders
         this.config = {
             mode: options.mode || 'history',
-            base: options.base || '',
+            base: (options.base || '').replace(/\/+$/, ''),
             hashbang: options.hashbang || false,
             beforeEnter: options.beforeEnter || null,
             afterEnter: options.afterEnter || null,
-            notFoundHandler: options.notFoundHandler || null // Custom 404 handler
+            notFoundHandler: options.notFoundHandler || null, // Custom 404 handler
+            errorHandler: options.errorHandler || null, // Fallback error view for failed routes and modules
+            maxRedirects: options.maxRedirects || 10, // Redirect chain length before giving up
+            initialPath: options.initialPath || '/', // First entry in memory mode
+            // 'strict' - /users and /users/ are different paths, 'ignore' - both match,
+            // 'redirect' - both match and the URL is rewritten to the canonical form
+            trailingSlash: options.trailingSlash || 'strict',
+            caseSensitive: options.caseSensitive !== false,
+            // Scroll restoration - off by default in memory mode so embedded apps don't move the page
+            scrollRestoration: options.scrollRestoration ?? options.mode !== 'memory',
+            scrollBehavior: options.scrollBehavior || null,
+            scrollContainers: options.scrollContainers || {},
+            prefetchMaxAge: options.prefetchMaxAge ?? 30000 // How long prefetched loader data stays usable
         };
 
+        this.scrollManager = new ScrollManager(framework, {
+            enabled: this.config.scrollRestoration,
+            scrollBehavior: this.config.scrollBehavior,
+            containers: this.config.scrollContainers
+        });
+
+        // The app's own history stack - the source of truth in memory mode, a mirror of
+        // the entries pushed this session in browser modes (filled in on initialize)
+        this.historyStack = this.config.mode === 'memory'
+            ? { entries: [{ path: this.config.initialPath, state: null }], index: 0 }
+            : { entries: [], index: 0 };
+
+        this.middleware = []; // Navigation middleware, outermost first: { handler, order, index }
+        this.middlewareCount = 0;
+
         // Bind methods
         this.handleRouteChange = this.handleRouteChange.bind(this);
+        this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
     }
 
     /**
      * Initialize the router system
      */
     initialize() {
-        if (this.config.mode === 'history') {
-            window.addEventListener('popstate', this.handleRouteChange);
-        } else {
+        this.scrollManager.initialize();
+
+        // Warn before the page unloads while a mounted module has unsaved changes
+        if (typeof window !== 'undefined') {
+            window.addEventListener('beforeunload', this.handleBeforeUnload);
+        }
+
+        if (this.config.mode === 'memory') {
+            return; // No browser URL to listen to
+        }
+
+        // Stamp the entry we start on with its position in the app's stack -
+        // after a reload the position is read back so canGoBack() stays correct
+        const entry = window.history.state;
+        const position = entry && typeof entry.position === 'number' ? entry.position : 0;
+        const path = this.getCurrentRoute();
+        const state = this.getCurrentState();
+
+        this.historyStack.index = position;
+        this.historyStack.entries[position] = { path, state };
+        window.history.replaceState({ ...entry, path, state, position }, '');
+
+        // Hash mode also listens to hashchange for browsers that don't fire popstate on hash edits
+        window.addEventListener('popstate', this.handleRouteChange);
+        if (this.config.mode !== 'history') {
             window.addEventListener('hashchange', this.handleRouteChange);
         }
     }
@@ -35,17 +131,69 @@ export class Router {
     /**
      * Handle route changes (browser back/forward)
      */
-    handleRouteChange() {
+    handleRouteChange(event) {
         const currentPath = this.getCurrentRoute();
-        this.navigate(currentPath, { skipHistory: true });
+
+        // The popstate of our own undo after a cancelled back/forward move
+        if (this.restoringPosition && event && event.type === 'popstate') {
+            this.restoringPosition = false;
+            return;
+        }
+
+        // A hashchange following the popstate for the same move is already handled
+        if (event && event.type === 'hashchange') {
+            const activePath = this.pendingNavigation
+                ? this.pendingNavigation.path
+                : this.currentRoute && this.currentRoute.fullPath;
+            if (activePath === currentPath) {
+                return;
+            }
+        }
+
+        const entry = window.history.state;
+        const state = this.getCurrentState();
+        const stack = this.historyStack;
+        const fromIndex = stack.index;
+
+        // The page still shows the entry we are leaving
+        this.saveScrollPosition();
+
+        if (entry && typeof entry.position === 'number') {
+            stack.index = entry.position;
+        } else {
+            // Entry created outside the router (e.g. a hash typed in the address bar)
+            stack.index += 1;
+            stack.entries = stack.entries.slice(0, stack.index);
+            window.history.replaceState({ ...entry, path: currentPath, state, position: stack.index }, '');
+        }
+        stack.entries[stack.index] = { ...stack.entries[stack.index], path: currentPath, state };
+
+        this.navigate(currentPath, {
+            skipHistory: true,
+            state,
+            savedScroll: stack.entries[stack.index].scroll,
+            fromIndex,
+            direction: stack.index < fromIndex ? 'back' : 'forward'
+        }).catch(error => console.error('Navigation error:', error)); // Already reported as ROUTE_ERROR
+    }
+
+    /**
+     * Warn before unloading the page while a mounted module reports unsaved changes
+     */
+    handleBeforeUnload(event) {
+        if (this.framework.moduleManager.hasUnsavedChanges()) {
+            event.preventDefault();
+            event.returnValue = ''; // Older browsers need a return value to show the prompt
+        }
     }
 
     /**
      * Register a route
      */
     registerRoute(path, options = {}) {
-        // Handler is required unless module is provided (then module render is used)
-        if (!options.handler && !options.module) {
+        // Handler is required unless module is provided (then module render is used),
+        // the route only groups child routes or redirects elsewhere
+        if (!options.handler && !options.module && !options.children && !options.redirect) {
             throw new Error('Route must specify either a handler or module in options');
         }
 
@@ -61,6 +209,15 @@ export class Router {
         };
 
         this.routes.set(path, route);
+        this.rankedRoutes = null;
+
+        if (route.name) {
+            if (this.namedRoutes.has(route.name)) {
+                console.warn(`Route name '${route.name}' already used by '${this.namedRoutes.get(route.name).path}', replacing it`);
+            }
+            this.namedRoutes.set(route.name, route);
+        }
+
         this.framework.emit(EVENTS.ROUTE_REGISTERED, route);
         
         let description = '';
@@ -72,20 +229,221 @@ export class Router {
             description = 'function handler';
         } else if (typeof route.handler === 'string') {
             description = 'template handler';
+        } else if (route.children) {
+            description = 'child routes only';
+        } else if (route.redirect) {
+            description = 'redirect';
         }
         
         console.log(`Route '${path}' registered with ${description}`);
+
+        // Aliases match the same route but keep their own URL
+        if (route.alias) {
+            this.registerAliases(route, [].concat(route.alias));
+        }
+
+        // Register nested routes - their paths are relative to this route
+        if (route.children) {
+            this.registerChildRoutes(route, route.children);
+        }
+    }
+
+    /**
+     * Register alias paths for a route - relative to the parent for nested routes
+     */
+    registerAliases(route, aliases) {
+        aliases.forEach(alias => {
+            const aliasPath = route.parent ? this.joinPaths(route.parent.path, alias) : alias;
+            const aliasRoute = { ...route, path: aliasPath, aliasOf: route.path };
+            delete aliasRoute.name;
+            delete aliasRoute.alias;
+            delete aliasRoute.children;
+
+            this.routes.set(aliasPath, aliasRoute);
+            this.rankedRoutes = null;
+            console.log(`Route '${aliasPath}' registered as alias of '${route.path}'`);
+        });
+    }
+
+    /**
+     * Register the children of a parent route (array or object map format)
+     */
+    registerChildRoutes(parent, children) {
+        const entries = Array.isArray(children)
+            ? children.map(child => (typeof child === 'string' ? [child, {}] : [child.path, child]))
+            : Object.entries(children);
+
+        entries.forEach(([childPath, childOptions]) => {
+            const options = typeof childOptions === 'object' && childOptions !== null
+                ? { ...childOptions }
+                : { handler: childOptions };
+            delete options.path;
+
+            this.registerRoute(this.joinPaths(parent.path, childPath), { ...options, parent });
+        });
+    }
+
+    /**
+     * Join a parent route path with a relative child path
+     */
+    joinPaths(parentPath, childPath) {
+        const child = (childPath || '').replace(/^\/+/, '');
+        if (!child) {
+            return parentPath;
+        }
+        return `${parentPath.replace(/\/+$/, '')}/${child}`;
+    }
+
+    /**
+     * Get the chain of route records from the outermost parent down to the given route
+     */
+    getMatchedRoutes(route) {
+        const matched = [];
+        for (let record = route; record; record = record.parent) {
+            matched.unshift(record);
+        }
+        return matched;
+    }
+
+    /**
+     * Add navigation middleware - async (context, next) => ... wrapping leave and enter guards,
+     * loaders, rendering and afterEnter hooks. Lower order runs first (outermost), equal order
+     * keeps registration order. A { beforeEach, afterEach } route guard is accepted too.
+     * Returns a function that removes the middleware.
+     */
+    use(middleware, options = {}) {
+        const handler = typeof middleware === 'function' ? middleware : this.createGuardMiddleware(middleware);
+        if (!handler) {
+            throw new Error('Middleware must be a function or an object with beforeEach/afterEach');
+        }
+
+        const entry = { handler, order: options.order ?? 0, index: this.middlewareCount++ };
+        this.middleware.push(entry);
+        this.middleware.sort((a, b) => a.order - b.order || a.index - b.index);
+
+        return () => {
+            const position = this.middleware.indexOf(entry);
+            if (position > -1) {
+                this.middleware.splice(position, 1);
+            }
+        };
+    }
+
+    /**
+     * Wrap a { beforeEach, afterEach } route guard as middleware - beforeEach cancels with
+     * false or redirects with a target, afterEach runs once the navigation completed
+     */
+    createGuardMiddleware(guard) {
+        if (!guard || (typeof guard.beforeEach !== 'function' && typeof guard.afterEach !== 'function')) {
+            return null;
+        }
+
+        return async (context, next) => {
+            if (guard.beforeEach) {
+                const result = await guard.beforeEach(context.to, context.from);
+                if (result === false || this.isRedirectTarget(result)) {
+                    return result;
+                }
+            }
+
+            await next();
+
+            if (guard.afterEach && context.status === 'complete') {
+                await guard.afterEach(context.to, context.from);
+            }
+        };
     }
 
     /**
      * Navigate to a route
+     * A newer navigation aborts this one - redirects continue the same navigation
+     */
+    async navigate(target, options = {}) {
+        const path = this.resolvePath(target);
+        const navigation = options.navigation || this.startNavigation(path);
+        navigation.path = path;
+
+        try {
+            await this.runNavigation(path, { ...options, navigation });
+        } finally {
+            if (this.pendingNavigation === navigation) {
+                this.pendingNavigation = null;
+            }
+        }
+    }
+
+    /**
+     * Register a new navigation, aborting the one in flight
+     */
+    startNavigation(path) {
+        const previous = this.pendingNavigation;
+        const controller = new AbortController();
+        const navigation = {
+            id: ++this.navigationId,
+            path,
+            controller,
+            signal: controller.signal
+        };
+
+        this.pendingNavigation = navigation;
+
+        if (previous) {
+            previous.controller.abort();
+            this.framework.emit(EVENTS.NAVIGATION_ABORTED, {
+                id: previous.id,
+                path: previous.path,
+                replacedBy: { id: navigation.id, path }
+            });
+        }
+
+        return navigation;
+    }
+
+    /**
+     * Run guards, update the URL and render the route - stops at any await point
+     * once the navigation has been superseded
      */
-    async navigate(path, options = {}) {
-        const route = this.findMatchingRoute(path);
+    async runNavigation(path, options) {
+        const { navigation } = options;
+        const { signal } = navigation;
+        let route = this.findMatchingRoute(path);
         
         if (!route) {
-            this.handle404(path);
-            return;
+            return this.runNotFound(path, options);
+        }
+
+        // Non-canonical URL - continue with the canonical one, the browser URL is replaced below
+        if (this.config.trailingSlash === 'redirect') {
+            const canonicalPath = this.getCanonicalPath(route);
+            if (canonicalPath !== path) {
+                this.framework.emit(EVENTS.ROUTE_REDIRECT, {
+                    from: path,
+                    to: canonicalPath,
+                    reason: 'canonical',
+                    route,
+                    chain: [...(options.redirectChain || []), path]
+                });
+                path = canonicalPath;
+                navigation.path = path;
+                route = this.findMatchingRoute(path);
+                options = { ...options, canonicalized: true };
+            }
+        }
+
+        route.navigationId = navigation.id;
+        route.signal = signal;
+        route.state = options.state !== undefined ? options.state : null;
+        route.direction = options.direction || 'forward'; // 'back' when moving back through history
+        if (options.redirectedFrom) {
+            route.redirectedFrom = options.redirectedFrom;
+        }
+
+        // Redirect routes hand off before any guard runs
+        if (route.redirect) {
+            const redirectTarget = typeof route.redirect === 'function'
+                ? route.redirect(route)
+                : route.redirect;
+            return this.redirect(path, redirectTarget, 'redirect', route, options);
         }
 
         // Emit will change event before any guards or handlers
@@ -95,34 +453,172 @@ export class Router {
             path 
         });
 
+        // Middleware wrap the rest of the navigation - errors they don't catch end up here
+        const navigationContext = this.createNavigationContext(route, path, options);
+        try {
+            await this.runMiddleware(navigationContext, () => this.resolveNavigation(route, path, options, navigationContext), options);
+        } catch (error) {
+            if (signal.aborted) {
+                return; // Errors from a superseded navigation (e.g. aborted fetches) don't matter
+            }
+            if (navigationContext.error !== error) {
+                // Failed before rendering (a throwing guard or middleware) - the navigation itself rejects
+                this.framework.emit(EVENTS.ROUTE_ERROR, { route, error });
+                throw error;
+            }
+            this.framework.emit(EVENTS.ROUTE_ERROR, { route, error });
+            console.error('Navigation error:', error);
+        }
+    }
+
+    /**
+     * Navigate to a path no route matches - leave guards and middleware run as for any
+     * navigation, then the mounted modules are unmounted before the 404 view renders
+     */
+    async runNotFound(path, options) {
+        const { navigation } = options;
+        const { signal } = navigation;
+        const { query, hash, fullPath } = this.parsePath(path);
+        const route = {
+            path,
+            fullPath,
+            params: {},
+            query,
+            hash,
+            matched: [],
+            notFound: true,
+            navigationId: navigation.id,
+            signal,
+            state: options.state !== undefined ? options.state : null,
+            direction: options.direction || 'forward'
+        };
+
+        const navigationContext = this.createNavigationContext(route, path, options);
+        try {
+            await this.runMiddleware(navigationContext, async () => {
+                if (!options.redirectChain) {
+                    const canLeave = await this.runLeaveGuards(route);
+                    if (signal.aborted) {
+                        return;
+                    }
+                    if (!canLeave) {
+                        navigationContext.status = 'cancelled';
+                        return this.cancelNavigation(options);
+                    }
+                }
+
+                // Regions fall back to their default modules
+                const context = { ...this.framework.getContext(), signal };
+                await Promise.all([
+                    this.framework.moduleManager.unmount(0),
+                    this.framework.regionManager.update(route, context)
+                ]);
+                if (signal.aborted) {
+                    return;
+                }
+
+                this.currentRoute = null;
+                await this.handle404(path);
+            }, options);
+        } catch (error) {
+            if (signal.aborted) {
+                return;
+            }
+            this.framework.emit(EVENTS.ROUTE_ERROR, { route, error });
+            throw error;
+        }
+    }
+
+    /**
+     * The innermost navigation step - leave guards, enter guards, loaders, URL update,
+     * rendering and afterEnter hooks. Sets context.status to how the navigation ended.
+     */
+    async resolveNavigation(route, path, options, navigationContext) {
+        const { signal } = options.navigation;
+        const cancel = () => {
+            navigationContext.status = 'cancelled';
+            return this.cancelNavigation(options);
+        };
+        const redirectTo = target => {
+            navigationContext.status = 'redirected';
+            return this.redirect(path, target, 'guard', route, options);
+        };
+
+        // Execute leave guards - a redirect hop continues a navigation the user already agreed to
+        if (!options.redirectChain) {
+            const canLeave = await this.runLeaveGuards(route);
+            if (signal.aborted) {
+                return;
+            }
+            if (!canLeave) {
+                return cancel();
+            }
+        }
+
         // Execute global beforeEnter guard
         if (this.config.beforeEnter) {
             const result = await this.config.beforeEnter(route, this.currentRoute);
+            if (signal.aborted) {
+                return;
+            }
             if (result === false) {
-                return; // Navigation cancelled
+                return cancel();
+            }
+            if (this.isRedirectTarget(result)) {
+                return redirectTo(result);
             }
         }
 
-        // Execute route-specific beforeEnter guard
-        if (route.beforeEnter) {
-            const result = await route.beforeEnter(route, this.currentRoute);
-            if (result === false) {
-                return; // Navigation cancelled
+        // Execute route-specific beforeEnter guards, outermost parent first
+        for (const record of route.matched) {
+            if (record.beforeEnter) {
+                const result = await record.beforeEnter(route, this.currentRoute);
+                if (signal.aborted) {
+                    return;
+                }
+                if (result === false) {
+                    return cancel();
+                }
+                if (this.isRedirectTarget(result)) {
+                    return redirectTo(result);
+                }
             }
         }
 
+        // Resolve route data before any module is touched
+        await this.loadRouteData(route, signal);
+        if (signal.aborted) {
+            return;
+        }
+
         // Update browser URL
         if (!options.skipHistory) {
-            this.updateBrowserUrl(path);
+            this.saveScrollPosition();
+            this.updateBrowserUrl(path, { replace: options.replace, state: route.state });
+        } else if (options.canonicalized) {
+            // The browser already shows the non-canonical URL - swap it in place
+            this.updateBrowserUrl(path, { replace: true, state: route.state });
         }
 
         // Handle the route based on its type
+        const context = { ...this.framework.getContext(), signal };
         try {
-            await this.handleRoute(route);
-            
-            // Execute route-specific afterEnter hook
-            if (route.afterEnter) {
-                route.afterEnter(route, this.currentRoute);
+            // Named regions render alongside the main container
+            await Promise.all([
+                this.handleRoute(route, context),
+                this.framework.regionManager.update(route, context)
+            ]);
+            if (signal.aborted) {
+                return;
+            }
+
+            await this.scrollManager.restore(route, this.currentRoute, options.savedScroll || null);
+
+            // Execute route-specific afterEnter hooks, innermost route first
+            for (const record of [...route.matched].reverse()) {
+                if (record.afterEnter) {
+                    record.afterEnter(route, this.currentRoute);
+                }
             }
 
             // Execute global afterEnter hook
@@ -133,149 +629,1066 @@ export class Router {
             this.currentRoute = route;
             this.framework.emit(EVENTS.ROUTE_CHANGE, route);
         } catch (error) {
-            this.framework.emit(EVENTS.ROUTE_ERROR, { route, error });
-            console.error('Navigation error:', error);
+            if (signal.aborted) {
+                return;
+            }
+            // The page now shows this route's error view - middleware may still catch the error
+            this.currentRoute = route;
+            navigationContext.status = 'error';
+            navigationContext.error = error;
+            throw error;
         }
     }
 
     /**
-     * Handle a route based on its configuration
+     * Create the context middleware receive - status tells them how the navigation ended
      */
-    async handleRoute(route) {
-        // Load module first if specified
-        if (route.module) {
-            await this.framework.moduleManager.loadModule(route.module, route.params);
-        }
-
-        // Execute handler if specified
-        if (route.handler) {
-            if (typeof route.handler === 'function') {
-                // Function handler
-                await route.handler(route.params, this.framework.getContext(), route);
-            } else if (typeof route.handler === 'string') {
-                // Template handler - render string as HTML
-                this.framework.render(this.processTemplate(route.handler, route.params, this.framework.getContext()));
-            }
-        }
-        // If no handler but module is loaded, that's fine - module.render was called during loadModule
+    createNavigationContext(route, path, options) {
+        return {
+            id: options.navigation.id,
+            to: route,
+            from: this.currentRoute,
+            path,
+            signal: options.navigation.signal,
+            redirectedFrom: options.redirectedFrom || null,
+            status: 'pending', // 'complete' | 'cancelled' | 'redirected' | 'aborted' | 'error'
+            error: null
+        };
     }
 
     /**
-     * Process template string with basic variable substitution
+     * Run the middleware chain around resolve(). A middleware that returns without calling
+     * next() short-circuits - a path or target redirects, anything else cancels.
      */
-    processTemplate(template, params, context) {
-        // Simple template processing - replace {{variable}} with values
-        return template.replace(/\{\{(\w+)\}\}/g, (match, variable) => {
-            if (params.hasOwnProperty(variable)) {
-                return params[variable];
+    async runMiddleware(navigationContext, resolve, options) {
+        const { signal } = navigationContext;
+        const stack = [...this.middleware]; // Middleware added mid-navigation apply from the next one
+        const settle = () => {
+            if (navigationContext.status === 'pending') {
+                navigationContext.status = signal.aborted ? 'aborted' : 'complete';
             }
-            if (context.hasOwnProperty(variable)) {
-                return context[variable];
+        };
+
+        const dispatch = async index => {
+            if (signal.aborted) {
+                return settle();
             }
-            return match; // Leave unchanged if no replacement found
-        });
+            if (index === stack.length) {
+                await resolve();
+                return settle();
+            }
+
+            let called = false;
+            const next = () => {
+                if (called) {
+                    return Promise.reject(new Error('next() called more than once'));
+                }
+                called = true;
+                return dispatch(index + 1);
+            };
+
+            const result = await stack[index].handler(navigationContext, next);
+            if (called) {
+                return;
+            }
+            if (signal.aborted) {
+                return settle();
+            }
+
+            if (this.isRedirectTarget(result)) {
+                navigationContext.status = 'redirected';
+                return this.redirect(navigationContext.path, result, 'middleware', navigationContext.to, options);
+            }
+            navigationContext.status = 'cancelled';
+            return this.cancelNavigation(options);
+        };
+
+        return dispatch(0);
     }
 
     /**
-     * Get current route
+     * Run the beforeLeave guards of the modules and routes being replaced, innermost first
+     * Levels that stay mounted as layouts are not left. Resolves false if any guard returns false.
      */
-    getCurrentRoute() {
-        if (this.config.mode === 'history') {
-            let path = window.location.pathname;
-            if (this.config.base) {
-                path = path.replace(new RegExp(`^${this.config.base}`), '');
+    async runLeaveGuards(to) {
+        const from = this.currentRoute;
+
+        // Layout levels of the target - a mounted layout with the same module stays
+        const kept = to.matched
+            .filter((record, index) => record.module && (index < to.matched.length - 1 || record.children))
+            .map(record => record.module);
+        const leavingModules = this.framework.moduleManager.getMountedModules()
+            .filter((record, depth) => !(record.outlet && kept[depth] === record.name))
+            .reverse()
+            .concat(this.framework.regionManager.getLeavingModules(to));
+
+        for (const record of leavingModules) {
+            if (record.module.beforeLeave && await record.module.beforeLeave(to, from) === false) {
+                return false;
             }
-            return path || '/';
-        } else {
-            let hash = window.location.hash;
-            if (this.config.hashbang && hash.startsWith('#!')) {
-                return hash.substring(2) || '/';
-            } else if (hash.startsWith('#')) {
-                return hash.substring(1) || '/';
+        }
+
+        const leavingRoutes = from
+            ? from.matched.filter(record => !(to.matched.includes(record) && record.children)).reverse()
+            : [];
+
+        for (const record of leavingRoutes) {
+            if (record.beforeLeave && await record.beforeLeave(to, from) === false) {
+                return false;
             }
-            return '/';
         }
+
+        return true;
     }
 
     /**
-     * Find matching route
+     * Stop a cancelled navigation - back/forward moves are undone so the URL matches the page again
      */
-    findMatchingRoute(path) {
-        // Try exact match first
-        if (this.routes.has(path)) {
-            return { ...this.routes.get(path), params: {} };
+    cancelNavigation(options) {
+        if (typeof options.fromIndex === 'number') {
+            this.restoreHistoryPosition(options.fromIndex);
         }
+    }
 
-        // Try pattern matching
-        for (const [routePath, route] of this.routes) {
-            const match = this.matchRoute(routePath, path);
-            if (match) {
-                return { ...route, params: match.params };
-            }
+    /**
+     * Move the history back to an entry after the browser (or memory go()) already left it
+     */
+    restoreHistoryPosition(index) {
+        const stack = this.historyStack;
+        const delta = index - stack.index;
+        if (delta === 0) {
+            return;
         }
 
-        return null;
+        if (this.config.mode !== 'memory') {
+            this.restoringPosition = true;
+            window.history.go(delta);
+        }
+        stack.index = index;
     }
 
     /**
-     * Match route with parameters
+     * Run the `load` option of every matched route in parallel
+     * Results land in route.matchedData (aligned with route.matched) and the leaf's in route.data.
+     * The outermost failure is kept in route.loadError for handleRoute to render.
      */
-    matchRoute(routePath, actualPath) {
-        const routeParts = routePath.split('/');
-        const actualParts = actualPath.split('/');
-
-        if (routeParts.length !== actualParts.length) {
-            return null;
+    async loadRouteData(route, signal) {
+        if (!route.matched.some(record => record.load)) {
+            route.matchedData = route.matched.map(() => undefined);
+            route.data = undefined;
+            return;
         }
 
-        const params = {};
-        const isMatch = routeParts.every((part, index) => {
-            if (part.startsWith(':')) {
-                const paramName = part.substring(1);
-                params[paramName] = actualParts[index];
-                return true;
+        const loaderContext = { params: route.params, query: route.query, hash: route.hash, state: route.state, signal, route };
+        const prefetched = this.hasPrefetchedData(route) ? this.prefetchedData.get(route.fullPath) : null;
+        this.dropPrefetchedData(route.fullPath, !prefetched);
+
+        this.framework.showLoading(true);
+        try {
+            // Prefetched data is used once - loaders run again if any prefetched one failed
+            let results = prefetched ? await prefetched.results : null;
+            if (!results || results.some(result => result.status === 'rejected')) {
+                results = await Promise.allSettled(route.matched.map(async record => record.load
+                    ? record.load(loaderContext)
+                    : undefined));
             }
-            return part === actualParts[index];
-        });
+            const failed = results.findIndex(result => result.status === 'rejected');
 
-        return isMatch ? { params } : null;
+            route.matchedData = results.map(result => result.value);
+            route.data = route.matchedData[route.matchedData.length - 1];
+            if (failed !== -1) {
+                route.loadError = { depth: failed, error: results[failed].reason };
+            }
+        } finally {
+            this.framework.showLoading(false);
+        }
     }
 
     /**
-     * Update browser URL
+     * Whether a route's loaders may run ahead of navigation. Guards and middleware haven't
+     * run yet, so guarded routes only prefetch data when a matched route sets `prefetch: true`.
+     * `prefetch: false` on a matched route turns data prefetching off.
      */
-    updateBrowserUrl(path) {
-        if (this.config.mode === 'history') {
-            const fullPath = this.config.base + path;
-            history.pushState({ path }, '', fullPath);
-        } else {
-            const hash = this.config.hashbang ? `#!${path}` : `#${path}`;
-            window.location.hash = hash;
+    canPrefetchData(route) {
+        if (!route.matched.some(record => record.load) || route.matched.some(record => record.prefetch === false)) {
+            return false;
         }
+        const guarded = Boolean(this.config.beforeEnter)
+            || this.middleware.length > 0
+            || route.matched.some(record => record.beforeEnter);
+        return !guarded || route.matched.some(record => record.prefetch === true);
     }
 
     /**
-     * Handle 404 errors
+     * Run a route's loaders ahead of navigation - the next navigation to the same
+     * full path within prefetchMaxAge uses the results instead of loading again.
+     * Unused results are dropped after prefetchMaxAge and their loaders aborted.
      */
-    handle404(path) {
-        // Use custom 404 handler if provided
-        if (this.config.notFoundHandler) {
-            if (typeof this.config.notFoundHandler === 'function') {
-                // Function handler - call with path and context
-                this.config.notFoundHandler(path, this.framework.getContext());
-            } else if (typeof this.config.notFoundHandler === 'string') {
-                // String handler - render as HTML with template substitution
-                const template = this.config.notFoundHandler.replace(/\{\{path\}\}/g, path);
-                this.framework.render(template);
-            } else if (typeof this.config.notFoundHandler === 'object' && this.config.notFoundHandler.module) {
-                // Module handler - load a specific module for 404
-                this.framework.moduleManager.loadModule(this.config.notFoundHandler.module, { path });
-            }
-        } else {
-            // Default 404 handler
-            this.framework.render(`
-                <div class="mf-error mf-error-404">
-                    <h1>404 - Page Not Found</h1>
+    prefetchRouteData(route) {
+        const controller = new AbortController();
+        const loaderContext = {
+            params: route.params,
+            query: route.query,
+            hash: route.hash,
+            state: null,
+            signal: controller.signal,
+            route,
+            prefetch: true
+        };
+
+        const results = Promise.allSettled(route.matched.map(async record => record.load
+            ? record.load(loaderContext)
+            : undefined));
+
+        this.dropPrefetchedData(route.fullPath, true);
+        const timer = setTimeout(() => this.dropPrefetchedData(route.fullPath, true), this.config.prefetchMaxAge);
+        this.prefetchedData.set(route.fullPath, { results, time: Date.now(), controller, timer });
+        return results;
+    }
+
+    /**
+     * Forget prefetched loader data - abort stops loaders still running for it
+     */
+    dropPrefetchedData(fullPath, abort = false) {
+        const entry = this.prefetchedData.get(fullPath);
+        if (!entry) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        if (abort) {
+            entry.controller.abort();
+        }
+        this.prefetchedData.delete(fullPath);
+    }
+
+    /**
+     * Whether usable prefetched loader data exists for a route
+     */
+    hasPrefetchedData(route) {
+        const entry = this.prefetchedData.get(route.fullPath);
+        return Boolean(entry) && Date.now() - entry.time < this.config.prefetchMaxAge;
+    }
+
+    /**
+     * Check whether a guard result asks for a redirect - a path or { name | path, ... } target
+     */
+    isRedirectTarget(result) {
+        return typeof result === 'string'
+            || (typeof result === 'object' && result !== null && Boolean(result.name || result.path));
+    }
+
+    /**
+     * Redirect a navigation to another target, guarding against loops
+     * The redirect replaces the history entry when the browser already shows the original path
+     */
+    async redirect(fromPath, target, reason, route, options = {}) {
+        const chain = [...(options.redirectChain || []), fromPath];
+        let toPath;
+
+        try {
+            toPath = this.resolvePath(target);
+
+            if (chain.includes(toPath)) {
+                throw new Error(`Redirect loop detected: ${[...chain, toPath].join(' -> ')}`);
+            }
+            if (chain.length > this.config.maxRedirects) {
+                throw new Error(`Too many redirects (max ${this.config.maxRedirects}): ${chain.join(' -> ')}`);
+            }
+        } catch (error) {
+            this.framework.emit(EVENTS.ROUTE_ERROR, { route, error });
+            console.error('Redirect error:', error);
+            return;
+        }
+
+        this.framework.emit(EVENTS.ROUTE_REDIRECT, {
+            from: fromPath,
+            to: toPath,
+            reason, // 'redirect' route option, 'guard' or 'middleware' result, 'canonical' URL normalization
+            route,
+            chain
+        });
+
+        return this.navigate(toPath, {
+            ...options,
+            skipHistory: false,
+            replace: Boolean(options.replace || options.skipHistory),
+            redirectedFrom: options.redirectedFrom || fromPath,
+            redirectChain: chain
+        });
+    }
+
+    /**
+     * Handle a route based on its configuration
+     */
+    async handleRoute(route, context = this.framework.getContext()) {
+        const moduleManager = this.framework.moduleManager;
+        const isAborted = () => Boolean(context.signal && context.signal.aborted);
+
+        // Query and hash ride along with the module params, route params win on a name clash
+        const params = { query: route.query, hash: route.hash, ...route.params };
+        const matchedData = route.matchedData || [];
+        const loadError = route.loadError || null;
+        const retry = () => this.navigate(route.fullPath || route.path, { skipHistory: true, state: route.state });
+
+        // Innermost route with a transition option wins - false turns the framework default off
+        const transitionRecord = [...route.matched].reverse().find(record => record.transition !== undefined);
+        const transition = transitionRecord ? transitionRecord.transition : undefined;
+        const direction = route.direction;
+
+        // Mount parent layouts first - each one renders the next level into its outlet.
+        // A failed loader stops at its level, the layouts above it stay mounted.
+        const lastLevel = loadError ? loadError.depth : route.matched.length - 1;
+        const layouts = route.matched.slice(0, lastLevel).filter(record => record.module);
+        let outlet = null;
+        for (let depth = 0; depth < layouts.length; depth++) {
+            const level = route.matched.indexOf(layouts[depth]);
+            outlet = await moduleManager.loadModule(layouts[depth].module, params, {
+                depth,
+                container: outlet,
+                layout: true,
+                context: { ...context, data: matchedData[level] },
+                route,
+                level,
+                retry,
+                transition,
+                direction
+            });
+            if (!outlet || isAborted()) {
+                return; // Layout failed to load (error already shown) or navigation superseded
+            }
+        }
+
+        // Loader failed - replace this level with an error view instead of half-mounting it
+        if (loadError) {
+            await moduleManager.unmount(layouts.length);
+            await this.handleError(loadError.error, {
+                message: `Failed to load data for ${route.fullPath || route.path}`,
+                route,
+                level: loadError.depth,
+                depth: layouts.length,
+                target: outlet,
+                retry
+            });
+            throw loadError.error;
+        }
+
+        context = { ...context, data: route.data };
+
+        // Load module if specified - a route with children acts as a layout itself
+        if (route.module) {
+            await moduleManager.loadModule(route.module, params, {
+                depth: layouts.length,
+                container: outlet,
+                layout: Boolean(route.children),
+                context,
+                route,
+                level: route.matched.length - 1,
+                retry,
+                transition,
+                direction
+            });
+        } else {
+            // Handler-only route - destroy whatever module its container or outlet held before
+            await moduleManager.unmount(layouts.length);
+        }
+
+        if (isAborted()) {
+            return;
+        }
+
+        // Execute handler if specified
+        if (route.handler) {
+            const handlerContext = {
+                ...context,
+                basePath: route.module ? moduleManager.getBasePath(route.module) : ''
+            };
+            if (outlet) {
+                handlerContext.render = content => this.framework.render(content, outlet);
+            }
+
+            try {
+                if (typeof route.handler === 'function') {
+                    // Function handler
+                    await route.handler(route.params, handlerContext, route);
+                } else if (typeof route.handler === 'string') {
+                    // Template handler - render string as HTML
+                    handlerContext.render(this.processTemplate(route.handler, route.params, handlerContext));
+                }
+            } catch (error) {
+                if (!isAborted()) {
+                    await this.handleError(error, {
+                        route,
+                        module: route.module ? moduleManager.modules.get(route.module) : null,
+                        depth: layouts.length,
+                        target: outlet,
+                        retry
+                    });
+                }
+                throw error;
+            }
+        }
+        // If no handler but module is loaded, that's fine - module.render was called during loadModule
+    }
+
+    /**
+     * Process template string with basic variable substitution
+     */
+    processTemplate(template, params, context) {
+        // Simple template processing - replace {{variable}} with values
+        return template.replace(/\{\{(\w+)\}\}/g, (match, variable) => {
+            if (params.hasOwnProperty(variable)) {
+                return params[variable];
+            }
+            if (context.hasOwnProperty(variable)) {
+                return context[variable];
+            }
+            return match; // Leave unchanged if no replacement found
+        });
+    }
+
+    /**
+     * Get current route
+     */
+    getCurrentRoute() {
+        if (this.config.mode === 'memory') {
+            return this.historyStack.entries[this.historyStack.index].path;
+        }
+
+        if (this.config.mode === 'history') {
+            let path = window.location.pathname;
+            if (this.config.base) {
+                const base = new RegExp(`^${escapeRegExp(this.config.base)}(?=/|$)`, this.config.caseSensitive ? '' : 'i');
+                path = path.replace(base, '');
+            }
+            return (path || '/') + window.location.search + window.location.hash;
+        } else {
+            let hash = window.location.hash;
+            if (this.config.hashbang && hash.startsWith('#!')) {
+                return hash.substring(2) || '/';
+            } else if (hash.startsWith('#')) {
+                return hash.substring(1) || '/';
+            }
+            return '/';
+        }
+    }
+
+    /**
+     * Get the state stored with the current history entry
+     */
+    getCurrentState() {
+        if (this.config.mode === 'memory') {
+            return this.historyStack.entries[this.historyStack.index].state;
+        }
+
+        const entry = window.history.state;
+        return entry && entry.state !== undefined ? entry.state : null;
+    }
+
+    /**
+     * Split a path into pathname, query object and hash fragment
+     */
+    parsePath(path) {
+        let pathname = path || '/';
+        let search = '';
+        let hash = '';
+
+        const hashIndex = pathname.indexOf('#');
+        if (hashIndex > -1) {
+            hash = pathname.substring(hashIndex + 1);
+            pathname = pathname.substring(0, hashIndex);
+        }
+
+        const queryIndex = pathname.indexOf('?');
+        if (queryIndex > -1) {
+            search = pathname.substring(queryIndex + 1);
+            pathname = pathname.substring(0, queryIndex);
+        }
+
+        return {
+            pathname: pathname || '/',
+            query: this.parseQuery(search),
+            hash,
+            fullPath: path || '/'
+        };
+    }
+
+    /**
+     * Parse a query string into an object - repeated keys become arrays
+     */
+    parseQuery(search) {
+        const query = {};
+        if (!search) {
+            return query;
+        }
+
+        search.replace(/^\?/, '').split('&').forEach(pair => {
+            if (!pair) return;
+
+            const [rawKey, ...rest] = pair.replace(/\+/g, ' ').split('=');
+            const key = this.decode(rawKey);
+            const value = this.decode(rest.join('='));
+
+            if (!Object.prototype.hasOwnProperty.call(query, key)) {
+                query[key] = value;
+            } else if (Array.isArray(query[key])) {
+                query[key].push(value);
+            } else {
+                query[key] = [query[key], value];
+            }
+        });
+
+        return query;
+    }
+
+    /**
+     * Decode a URI component, leaving malformed input untouched
+     */
+    decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    /**
+     * Collapse duplicate slashes and make sure a pathname starts with one
+     */
+    normalizePath(pathname) {
+        return `/${pathname || ''}`.replace(/\/{2,}/g, '/');
+    }
+
+    /**
+     * Get the canonical form of a matched route's path - single slashes, the trailing
+     * slash as the route pattern declares it and, when matching ignores case, the
+     * pattern's letter case. Query string and hash are kept as they are.
+     */
+    getCanonicalPath(route) {
+        const { pathname } = this.parsePath(route.fullPath);
+        const { trailingSlash } = this.compilePath(route.path);
+        let canonical = this.normalizePath(pathname);
+
+        if (canonical !== '/') {
+            canonical = canonical.replace(/\/+$/, '') + (trailingSlash ? '/' : '');
+        }
+
+        if (!this.config.caseSensitive) {
+            try {
+                const built = this.buildPath(route, route.params) + (trailingSlash ? '/' : '');
+                if (built.toLowerCase() === canonical.toLowerCase()) {
+                    canonical = built;
+                }
+            } catch (error) {
+                // Params that can't be rebuilt - keep the path as requested
+            }
+        }
+
+        const suffixIndex = route.fullPath.search(/[?#]/);
+        return canonical + (suffixIndex > -1 ? route.fullPath.substring(suffixIndex) : '');
+    }
+
+    /**
+     * Find matching route
+     */
+    findMatchingRoute(path) {
+        const { pathname: rawPathname, query, hash, fullPath } = this.parsePath(path);
+        const pathname = this.normalizePath(rawPathname);
+        const location = { query, hash, fullPath };
+
+        // Most specific matching route wins, regardless of registration order
+        for (const route of this.getRankedRoutes()) {
+            const match = this.matchRoute(route.path, pathname);
+            if (match) {
+                return { ...route, params: match.params, ...location, matched: this.getMatchedRoutes(route) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Match route with parameters
+     */
+    matchRoute(routePath, actualPath) {
+        const { regex, segments } = this.compilePath(routePath);
+        const match = regex.exec(actualPath);
+
+        if (!match) {
+            return null;
+        }
+
+        const params = {};
+        segments.filter(segment => segment.type !== 'static').forEach((segment, index) => {
+            const value = match[index + 1];
+            if (value !== undefined) {
+                params[segment.name] = this.decode(value);
+            } else if (segment.type === 'splat') {
+                params[segment.name] = '';
+            }
+        });
+
+        return { params };
+    }
+
+    /**
+     * Compile a route pattern into a regular expression (cached per pattern)
+     * Supports static segments, :param, optional :param?, constrained :param(regex)
+     * and catch-all *splat segments. A trailing slash in the pattern only matters
+     * with trailingSlash: 'strict'.
+     */
+    compilePath(routePath) {
+        if (this.compiledPaths.has(routePath)) {
+            return this.compiledPaths.get(routePath);
+        }
+
+        const segments = routePath.split('/').filter(Boolean).map(part => this.parseSegment(part));
+        const trailingSlash = segments.length > 0 && routePath.endsWith('/');
+        const compiled = {
+            regex: this.buildMatcher(segments, trailingSlash),
+            segments,
+            trailingSlash
+        };
+
+        this.compiledPaths.set(routePath, compiled);
+        return compiled;
+    }
+
+    /**
+     * Build the regular expression for parsed segments under the trailing slash
+     * and case sensitivity policies
+     */
+    buildMatcher(segments, trailingSlash, ignoreConstraints = false) {
+        let suffix = '';
+        if (segments.length) {
+            if (this.config.trailingSlash === 'strict') {
+                suffix = trailingSlash ? '/' : '';
+            } else {
+                suffix = '/?';
+            }
+        }
+        return new RegExp(`^${this.buildPattern(segments, ignoreConstraints)}${suffix}$`, this.config.caseSensitive ? '' : 'i');
+    }
+
+    /**
+     * Build the regular expression source for parsed segments
+     */
+    buildPattern(segments, ignoreConstraints = false) {
+        let pattern = '';
+
+        segments.forEach(segment => {
+            if (segment.type === 'splat') {
+                pattern += '(?:/(.*))?';
+            } else if (segment.type === 'param') {
+                const constraint = !ignoreConstraints && segment.constraint;
+                const group = `(${constraint ? toNonCapturing(constraint) : '[^/]+'})`;
+                pattern += segment.optional ? `(?:/${group})?` : `/${group}`;
+            } else {
+                pattern += `/${escapeRegExp(segment.value)}`;
+            }
+        });
+
+        return pattern || '/';
+    }
+
+    /**
+     * Parse a single route pattern segment
+     */
+    parseSegment(part) {
+        const splat = part.match(/^\*(\w*)$/);
+        if (splat) {
+            return { type: 'splat', name: splat[1] || 'wildcard' };
+        }
+
+        const param = part.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+        if (param) {
+            return {
+                type: 'param',
+                name: param[1],
+                constraint: param[2] || null,
+                optional: Boolean(param[3])
+            };
+        }
+
+        return { type: 'static', value: part };
+    }
+
+    /**
+     * Get the specificity kind of a parsed segment
+     */
+    getSegmentKind(segment) {
+        if (segment.type === 'param') {
+            if (segment.optional) return 'optional';
+            return segment.constraint ? 'constrained' : 'param';
+        }
+        return segment.type;
+    }
+
+    /**
+     * Get the per-segment specificity score of a route pattern
+     */
+    scoreRoute(routePath) {
+        return this.compilePath(routePath).segments.map(segment => SEGMENT_SCORES[this.getSegmentKind(segment)]);
+    }
+
+    /**
+     * Compare two route scores segment by segment - negative when a is more specific
+     */
+    compareScores(a, b) {
+        const length = Math.max(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            const diff = (b[i] ?? SEGMENT_SCORES.missing) - (a[i] ?? SEGMENT_SCORES.missing);
+            if (diff) {
+                return diff;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Get all routes ordered by specificity - equally specific routes keep registration order
+     */
+    getRankedRoutes() {
+        if (!this.rankedRoutes) {
+            this.rankedRoutes = [...this.routes.values()]
+                .map((route, index) => ({ route, index, score: this.scoreRoute(route.path) }))
+                .sort((a, b) => this.compareScores(a.score, b.score) || a.index - b.index)
+                .map(entry => entry.route);
+        }
+        return this.rankedRoutes;
+    }
+
+    /**
+     * Debug helper - list every candidate route for a path and why it was picked or rejected
+     */
+    explain(path) {
+        const pathname = this.normalizePath(this.parsePath(path).pathname);
+        let selected = null;
+
+        const candidates = this.getRankedRoutes().map((route, index) => {
+            const match = this.matchRoute(route.path, pathname);
+            const candidate = {
+                path: route.path,
+                rank: index + 1,
+                score: this.scoreRoute(route.path),
+                matched: Boolean(match),
+                selected: false,
+                params: match ? match.params : null,
+                reason: ''
+            };
+
+            if (!match) {
+                candidate.reason = this.explainMismatch(route.path, pathname);
+            } else if (!selected) {
+                selected = candidate;
+                candidate.selected = true;
+                candidate.reason = 'Selected: most specific route matching the path';
+            } else {
+                candidate.reason = `Rejected: matches, but '${selected.path}' ranks higher (${this.describeRanking(selected.path, route.path)})`;
+            }
+
+            return candidate;
+        });
+
+        return {
+            path,
+            pathname,
+            selected: selected ? selected.path : null,
+            candidates
+        };
+    }
+
+    /**
+     * Describe why a route pattern does not match a pathname
+     */
+    explainMismatch(routePath, pathname) {
+        const { segments, trailingSlash } = this.compilePath(routePath);
+        const loose = this.buildMatcher(segments, trailingSlash, true).exec(pathname);
+
+        if (loose) {
+            const failed = segments
+                .filter(segment => segment.type !== 'static')
+                .map((segment, index) => ({ segment, value: loose[index + 1] }))
+                .find(({ segment, value }) => segment.constraint && value !== undefined
+                    && !new RegExp(`^(?:${segment.constraint})$`).test(value));
+
+            if (failed) {
+                return `Rejected: '${failed.value}' fails the constraint (${failed.segment.constraint}) on :${failed.segment.name}`;
+            }
+        }
+
+        return 'Rejected: pattern does not match the path';
+    }
+
+    /**
+     * Describe the first segment where one route pattern outranks another
+     */
+    describeRanking(winnerPath, loserPath) {
+        const winner = this.compilePath(winnerPath).segments;
+        const loser = this.compilePath(loserPath).segments;
+        const length = Math.max(winner.length, loser.length);
+
+        for (let i = 0; i < length; i++) {
+            const winnerKind = winner[i] ? this.getSegmentKind(winner[i]) : 'missing';
+            const loserKind = loser[i] ? this.getSegmentKind(loser[i]) : 'missing';
+            if (SEGMENT_SCORES[winnerKind] !== SEGMENT_SCORES[loserKind]) {
+                return `segment ${i + 1}: ${SEGMENT_LABELS[winnerKind]} beats ${SEGMENT_LABELS[loserKind]}`;
+            }
+        }
+
+        return 'equally specific, registered first';
+    }
+
+    /**
+     * Build the URL for a named route, including base, hash or hashbang prefix
+     */
+    resolve(name, params = {}, query = {}) {
+        return this.createHref(this.resolvePath({ name, params, query }));
+    }
+
+    /**
+     * Turn a navigation target into a router path
+     * Accepts a path string, { name, params, query, hash } or { path, query, hash }
+     */
+    resolvePath(target) {
+        if (typeof target === 'string') {
+            return target;
+        }
+
+        if (!target || typeof target !== 'object') {
+            throw new Error(`Invalid navigation target: ${target}`);
+        }
+
+        let path;
+        if (target.name) {
+            const route = this.namedRoutes.get(target.name);
+            if (!route) {
+                throw new Error(`No route named '${target.name}'`);
+            }
+            path = this.buildPath(route, target.params || {});
+        } else if (target.path) {
+            path = target.path;
+        } else {
+            throw new Error('Navigation target must specify a name or a path');
+        }
+
+        const search = this.stringifyQuery(target.query || {});
+        if (search) {
+            path += `${path.includes('?') ? '&' : '?'}${search}`;
+        }
+        if (target.hash) {
+            path += `#${target.hash.replace(/^#/, '')}`;
+        }
+        return path;
+    }
+
+    /**
+     * Fill a route pattern with params - missing required params and unknown params throw
+     */
+    buildPath(route, params = {}) {
+        const { segments } = this.compilePath(route.path);
+        const label = route.name ? `Route '${route.name}' (${route.path})` : `Route '${route.path}'`;
+
+        const known = segments.filter(segment => segment.type !== 'static').map(segment => segment.name);
+        const extra = Object.keys(params).filter(key => !known.includes(key));
+        if (extra.length) {
+            throw new Error(`${label} does not accept param(s): ${extra.join(', ')}`);
+        }
+
+        const parts = segments.map(segment => {
+            if (segment.type === 'static') {
+                return segment.value;
+            }
+
+            const value = params[segment.name];
+            if (value === undefined || value === null || value === '') {
+                if (segment.type === 'splat' || segment.optional) {
+                    return null;
+                }
+                throw new Error(`${label} is missing required param '${segment.name}'`);
+            }
+
+            if (segment.type === 'splat') {
+                return String(value).split('/').map(encodeURIComponent).join('/');
+            }
+
+            if (segment.constraint && !new RegExp(`^(?:${segment.constraint})$`).test(String(value))) {
+                throw new Error(`${label} param '${segment.name}' value '${value}' fails the constraint (${segment.constraint})`);
+            }
+            return encodeURIComponent(String(value));
+        });
+
+        return `/${parts.filter(part => part !== null).join('/')}`;
+    }
+
+    /**
+     * Serialize a query object - arrays become repeated keys, null and undefined are skipped
+     */
+    stringifyQuery(query) {
+        return Object.entries(query)
+            .flatMap(([key, value]) => (Array.isArray(value) ? value : [value])
+                .filter(item => item !== undefined && item !== null)
+                .map(item => `${encodeURIComponent(key)}=${encodeURIComponent(item)}`))
+            .join('&');
+    }
+
+    /**
+     * Create the href for a router path in the configured mode
+     */
+    createHref(path) {
+        if (this.config.mode === 'memory') {
+            return path;
+        }
+        if (this.config.mode === 'history') {
+            return this.config.base + path;
+        }
+        return this.config.hashbang ? `#!${path}` : `#${path}`;
+    }
+
+    /**
+     * Turn a link href produced by createHref back into a router path
+     */
+    getPathFromHref(href) {
+        if (this.config.mode === 'memory') {
+            return href;
+        }
+        if (this.config.mode === 'history') {
+            if (this.config.base && href.startsWith(this.config.base)) {
+                return href.substring(this.config.base.length) || '/';
+            }
+            return href;
+        }
+        if (this.config.hashbang && href.startsWith('#!')) {
+            return href.substring(2) || '/';
+        }
+        return href.startsWith('#') ? href.substring(1) || '/' : href;
+    }
+
+    /**
+     * Update browser URL - path may carry a query string and hash fragment
+     * With { replace: true } the current history entry is replaced instead of pushed,
+     * { state } is stored with the entry and surfaced as route.state
+     */
+    updateBrowserUrl(path, options = {}) {
+        const stack = this.historyStack;
+        const entry = { path, state: options.state !== undefined ? options.state : null };
+
+        if (options.replace) {
+            stack.entries[stack.index] = entry;
+        } else {
+            // Pushing drops any forward entries, like the browser does
+            stack.entries = stack.entries.slice(0, stack.index + 1);
+            stack.entries.push(entry);
+            stack.index = stack.entries.length - 1;
+        }
+
+        if (this.config.mode === 'memory') {
+            return;
+        }
+
+        // Hash modes use the History API too, so entries can carry state
+        const method = options.replace ? 'replaceState' : 'pushState';
+        window.history[method]({ ...entry, position: stack.index }, '', this.createHref(path));
+    }
+
+    /**
+     * Navigate to a route, replacing the current history entry
+     */
+    async replace(target, state) {
+        return this.navigate(target, { replace: true, state });
+    }
+
+    /**
+     * Go back one history entry
+     */
+    async back() {
+        return this.go(-1);
+    }
+
+    /**
+     * Go forward one history entry
+     */
+    async forward() {
+        return this.go(1);
+    }
+
+    /**
+     * Move through history by n entries - out of range moves are ignored
+     * Browser modes delegate to window.history and navigate on popstate/hashchange
+     */
+    async go(n) {
+        if (this.config.mode !== 'memory') {
+            window.history.go(n);
+            return;
+        }
+
+        const stack = this.historyStack;
+        const index = stack.index + n;
+        if (index < 0 || index >= stack.entries.length) {
+            return;
+        }
+
+        const fromIndex = stack.index;
+        this.saveScrollPosition();
+        stack.index = index;
+        const entry = stack.entries[index];
+        return this.navigate(entry.path, {
+            skipHistory: true,
+            state: entry.state,
+            savedScroll: entry.scroll,
+            fromIndex,
+            direction: n < 0 ? 'back' : 'forward'
+        });
+    }
+
+    /**
+     * Remember the scroll position of the current history entry
+     */
+    saveScrollPosition() {
+        const entry = this.historyStack.entries[this.historyStack.index];
+        if (entry) {
+            entry.scroll = this.scrollManager.savePosition();
+        }
+    }
+
+    /**
+     * Whether going back stays inside the app
+     */
+    canGoBack() {
+        return this.historyStack.index > 0;
+    }
+
+    /**
+     * Whether there is an app entry to go forward to
+     */
+    canGoForward() {
+        return this.historyStack.index < this.historyStack.entries.length - 1;
+    }
+
+    /**
+     * Handle 404 errors
+     */
+    async handle404(path) {
+        // The previous route's title and tags don't describe the 404 view
+        this.framework.headManager.restoreDefaults();
+
+        // Use custom 404 handler if provided
+        if (this.config.notFoundHandler) {
+            if (typeof this.config.notFoundHandler === 'function') {
+                // Function handler - call with path and context
+                this.config.notFoundHandler(path, this.framework.getContext());
+            } else if (typeof this.config.notFoundHandler === 'string') {
+                // String handler - render as HTML with template substitution
+                const template = this.config.notFoundHandler.replace(/\{\{path\}\}/g, path);
+                this.framework.render(template);
+            } else if (typeof this.config.notFoundHandler === 'object' && this.config.notFoundHandler.module) {
+                // Module handler - load a specific module for 404
+                await this.framework.moduleManager.loadModule(this.config.notFoundHandler.module, { path });
+            }
+        } else {
+            // Default 404 handler
+            this.framework.render(`
+                <div class="mf-error mf-error-404">
+                    <h1>404 - Page Not Found</h1>
                     <p>The route <code>${path}</code> was not found.</p>
                     <button class="mf-btn mf-btn-primary" onclick="window.MicroFramework.navigate('/')">
                         Go Home
@@ -287,6 +1700,51 @@ export class Router {
         this.framework.emit(EVENTS.ROUTE_404, { path });
     }
 
+    /**
+     * Render an error view in place of a failed route level or module
+     * The handler is the failing module's errorHandler, else the nearest route's at or above
+     * the failing level, else the framework's - a template string, a function or { module }
+     * like notFoundHandler. Without one the default error view is shown.
+     * [data-retry] elements in template and function views call retry().
+     */
+    async handleError(error, options = {}) {
+        const { route = null, module = null, target = null, retry = null } = options;
+        const level = options.level ?? (route ? route.matched.length - 1 : -1);
+        const boundary = route
+            ? route.matched.slice(0, level + 1).reverse().find(record => record.errorHandler)
+            : null;
+
+        // An error view that fails itself falls back to the default one
+        const handler = options.errorView
+            ? null
+            : (module && module.errorHandler) || (boundary && boundary.errorHandler) || this.config.errorHandler;
+
+        const render = content => this.framework.render(content, target);
+        const message = options.message || (route ? `Failed to load ${route.fullPath || route.path}` : 'Something went wrong');
+
+        if (typeof handler === 'function') {
+            // Function handler - call with the error and a context scoped to the failed region
+            await handler(error, { ...this.framework.getContext(), render, route, retry });
+            this.framework.bindRetry(target, retry);
+        } else if (typeof handler === 'string') {
+            // String handler - render as HTML
+            render(handler
+                .replace(/\{\{message\}\}/g, error && error.message ? error.message : String(error))
+                .replace(/\{\{path\}\}/g, route ? route.fullPath || route.path : ''));
+            this.framework.bindRetry(target, retry);
+        } else if (typeof handler === 'object' && handler !== null && handler.module) {
+            // Module handler - load a specific module in place of the failed one
+            await this.framework.moduleManager.loadModule(handler.module, { error, route, retry }, {
+                depth: options.depth || 0,
+                container: target,
+                errorView: true,
+                region: options.region || null
+            });
+        } else {
+            this.framework.showError(message, error, target, retry);
+        }
+    }
+
     /**
      * Get all registered routes
      */
@@ -298,6 +1756,16 @@ export class Router {
      * Destroy router
      */
     destroy() {
+        this.scrollManager.destroy();
+        [...this.prefetchedData.keys()].forEach(fullPath => this.dropPrefetchedData(fullPath, true));
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        }
+
+        if (this.config.mode === 'memory') {
+            return;
+        }
         window.removeEventListener('popstate', this.handleRouteChange);
         window.removeEventListener('hashchange', this.handleRouteChange);
     }
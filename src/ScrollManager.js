@@ -0,0 +1,146 @@
+/**
+ * ScrollManager - Saves and restores scroll positions per history entry
+ */
+export class ScrollManager {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.config = {
+            enabled: options.enabled !== false,
+            scrollBehavior: options.scrollBehavior || null, // (to, from, saved) => position | false
+            containers: options.containers || {} // Named scroll containers: { name: selector | element }
+        };
+        this.previousRestoration = null;
+    }
+
+    /**
+     * Take over scroll restoration from the browser
+     */
+    initialize() {
+        if (this.config.enabled && typeof window !== 'undefined' && window.history && 'scrollRestoration' in window.history) {
+            this.previousRestoration = window.history.scrollRestoration;
+            window.history.scrollRestoration = 'manual';
+        }
+    }
+
+    /**
+     * Snapshot the window and named container scroll positions
+     */
+    savePosition() {
+        if (!this.config.enabled || typeof window === 'undefined') {
+            return null;
+        }
+
+        const containers = {};
+        Object.keys(this.config.containers).forEach(name => {
+            const element = this.getContainer(name);
+            if (element) {
+                containers[name] = { left: element.scrollLeft, top: element.scrollTop };
+            }
+        });
+
+        return {
+            left: window.pageXOffset,
+            top: window.pageYOffset,
+            containers
+        };
+    }
+
+    /**
+     * Restore the scroll position after a navigation has rendered
+     * Default: saved position on back/forward, the #anchor when the route has a hash,
+     * otherwise the top. A scrollBehavior hook can override it - returning a falsy
+     * value leaves the scroll position untouched.
+     */
+    async restore(to, from, saved = null) {
+        if (!this.config.enabled && !this.config.scrollBehavior) {
+            return;
+        }
+
+        let position = saved || this.getDefaultPosition(to);
+        if (this.config.scrollBehavior) {
+            position = await this.config.scrollBehavior(to, from, saved);
+        }
+
+        if (position) {
+            this.scrollTo(position);
+        }
+    }
+
+    /**
+     * Position for a new navigation - the #anchor if there is one, else the top
+     */
+    getDefaultPosition(to) {
+        if (to.hash) {
+            return { el: `#${to.hash}` };
+        }
+
+        const containers = {};
+        Object.keys(this.config.containers).forEach(name => {
+            containers[name] = { left: 0, top: 0 };
+        });
+        return { left: 0, top: 0, containers };
+    }
+
+    /**
+     * Scroll to a position: { el } (selector or element), { left, top } for the window
+     * and { containers: { name: { left, top } } } for named containers
+     */
+    scrollTo(position) {
+        if (typeof window === 'undefined') {
+            return;
+        }
+
+        if (position.el) {
+            const element = typeof position.el === 'string'
+                ? this.findElement(position.el)
+                : position.el;
+            if (element) {
+                element.scrollIntoView();
+            } else {
+                window.scrollTo(0, 0); // Missing anchor - behave like a new page
+            }
+        } else if (typeof position.left === 'number' || typeof position.top === 'number') {
+            window.scrollTo(position.left || 0, position.top || 0);
+        }
+
+        Object.entries(position.containers || {}).forEach(([name, containerPosition]) => {
+            const element = this.getContainer(name);
+            if (element) {
+                element.scrollLeft = containerPosition.left || 0;
+                element.scrollTop = containerPosition.top || 0;
+            }
+        });
+    }
+
+    /**
+     * Find a scroll target - '#id' selectors are looked up by id so fragments
+     * with characters that are invalid in CSS selectors still work
+     */
+    findElement(selector) {
+        if (selector.startsWith('#')) {
+            return document.getElementById(selector.substring(1));
+        }
+        return document.querySelector(selector);
+    }
+
+    /**
+     * Get a named scroll container element
+     */
+    getContainer(name) {
+        const container = this.config.containers[name];
+        if (typeof container === 'string') {
+            return document.querySelector(container);
+        }
+        return container || null;
+    }
+
+    /**
+     * Hand scroll restoration back to the browser
+     */
+    destroy() {
+        if (this.previousRestoration !== null) {
+            window.history.scrollRestoration = this.previousRestoration;
+            this.previousRestoration = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * TransitionManager - Animates module swaps with the View Transitions API or enter/leave classes
+ */
+export class TransitionManager {
+    constructor(framework, options = {}) {
+        this.framework = framework;
+        this.config = {
+            transition: options.transition || null // Default for every route: true, a name or { name, duration, viewTransition }
+        };
+    }
+
+    /**
+     * Normalize a transition option - false disables, true uses the built-in fade
+     */
+    resolve(transition) {
+        if (transition === undefined) {
+            transition = this.config.transition;
+        }
+        if (!transition) {
+            return null;
+        }
+        if (transition === true) {
+            transition = {};
+        } else if (typeof transition === 'string') {
+            transition = { name: transition };
+        }
+
+        return {
+            name: transition.name || 'mf-fade',
+            duration: transition.duration ?? 300, // Upper bound when no animationend/transitionend arrives
+            viewTransition: transition.viewTransition !== false
+        };
+    }
+
+    /**
+     * Swap the content of a container - update() renders the new content.
+     * Resolves once the new content is rendered; onFinish runs after the leave animation.
+     */
+    async run(container, update, options = {}) {
+        const transition = this.resolve(options.transition);
+        const direction = options.direction || 'forward';
+        const onFinish = options.onFinish || (() => {});
+
+        if (!transition || typeof document === 'undefined') {
+            await update();
+            return;
+        }
+
+        if (transition.viewTransition && typeof document.startViewTransition === 'function') {
+            return this.runViewTransition(update, transition, direction, onFinish);
+        }
+        return this.runClassTransition(container, update, transition, direction, onFinish);
+    }
+
+    /**
+     * Let the browser animate between snapshots - CSS can target
+     * html[data-mf-transition] and html[data-mf-direction] in ::view-transition rules
+     */
+    async runViewTransition(update, transition, direction, onFinish) {
+        const root = document.documentElement;
+        root.dataset.mfTransition = transition.name;
+        root.dataset.mfDirection = direction;
+
+        const viewTransition = document.startViewTransition(() => update());
+        viewTransition.finished
+            .catch(() => {}) // Skipped transitions reject - the DOM is updated either way
+            .finally(() => {
+                if (root.dataset.mfDirection === direction) {
+                    delete root.dataset.mfTransition;
+                    delete root.dataset.mfDirection;
+                }
+                onFinish();
+            });
+
+        await viewTransition.updateCallbackDone;
+    }
+
+    /**
+     * Keep the old content in a leave element next to the container while the
+     * new content renders into it, each with <name>-leave / <name>-enter classes
+     */
+    async runClassTransition(container, update, transition, direction, onFinish) {
+        const { name } = transition;
+        const leave = document.createElement('div');
+        leave.className = `${name}-leave ${name}-${direction}`;
+        leave.setAttribute('aria-hidden', 'true');
+        while (container.firstChild) {
+            leave.appendChild(container.firstChild);
+        }
+        container.parentNode.insertBefore(leave, container);
+
+        try {
+            await update();
+        } catch (error) {
+            leave.remove();
+            onFinish();
+            throw error;
+        }
+
+        container.classList.add(`${name}-enter`, `${name}-${direction}`);
+        this.waitForAnimation(leave, transition.duration).then(() => {
+            leave.remove();
+            container.classList.remove(`${name}-enter`, `${name}-${direction}`);
+            onFinish();
+        });
+    }
+
+    /**
+     * Resolve when the element's animation or transition ends, or after the duration
+     */
+    waitForAnimation(element, duration) {
+        return new Promise(resolve => {
+            const done = event => {
+                if (event && event.target !== element) {
+                    return; // Animation of something inside the old content
+                }
+                clearTimeout(timer);
+                element.removeEventListener('animationend', done);
+                element.removeEventListener('transitionend', done);
+                resolve();
+            };
+            const timer = setTimeout(done, duration);
+            element.addEventListener('animationend', done);
+            element.addEventListener('transitionend', done);
+        });
+    }
+}
\ No newline at end of file
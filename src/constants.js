@@ -1,3 +1,9 @@
+/**
+ * Framework version - checked against the `framework` range in module `requires`
+ * The build injects it from package.json
+ */
+export const VERSION = __VERSION__;
+
 /**
  * Centralized Event Registry - All framework events defined here
  */
@@ -11,16 +17,21 @@ export const EVENTS = {
     MODULE_UNREGISTERED: 'module:unregistered',
     MODULE_LOAD: 'module:load',
     MODULE_ERROR: 'module:error',
+    MODULE_MANIFEST_LOADED: 'module:manifest_loaded',
     
     // Route events
     ROUTE_REGISTERED: 'route:registered',
     ROUTE_WILL_CHANGE: 'route:will_change',
     ROUTE_CHANGE: 'route:change',
+    ROUTE_REDIRECT: 'route:redirect',
+    NAVIGATION_ABORTED: 'navigation:aborted',
     ROUTE_ERROR: 'route:error',
     ROUTE_404: 'route:404',
+    ROUTE_PREFETCH: 'route:prefetch',
     
     // UI events
     LOADING_CHANGE: 'loading:change',
+    REGION_LOADING_CHANGE: 'region:loading_change',
     ERROR: 'error',
     
     // Container events
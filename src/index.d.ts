@@ -12,10 +12,54 @@ import type {
     RouteOptions,
     RouteDefinition,
     RouteMap,
+    RouteChildren,
     Route,
     RouteParams,
+    RouteQuery,
+    RouteLocation,
+    HistoryEntry,
+    HistoryStack,
+    ScrollPosition,
+    RouteMeta,
+    RouteMetaOption,
+    RouteLoader,
+    RouteLoaderContext,
+    PrefetchStrategy,
+    RoutePrefetchEvent,
+    NavigationDirection,
+    TransitionOption,
+    ResolvedTransition,
+    RegionModules,
+    RegionLoadingEvent,
+    NavigateOptions,
+    NavigationTarget,
+    RouteGuardResult,
+    RouteGuardFunction,
+    RouteLeaveGuard,
+    RouteRedirect,
+    RouteRedirectEvent,
+    TrailingSlashPolicy,
+    Navigation,
+    NavigationAbortedEvent,
+    NavigationStatus,
+    NavigationContext,
+    NavigationMiddleware,
+    MiddlewareOptions,
+    RouteSegment,
+    CompiledRoutePath,
+    RouteCandidate,
+    RouteExplanation,
+    LoadModuleOptions,
+    MountedModule,
+    CachedModule,
     ModuleContext,
+    RegisterModuleOptions,
+    ModuleDependencyGraph,
+    VersionPolicy,
+    ModuleConflict,
     ModuleError,
+    ErrorHandler,
+    ErrorHandlerContext,
     EventCallback,
     Plugin,
     EventHistoryEntry,
@@ -23,10 +67,17 @@ import type {
     EventName,
     EventData,
     RouteGuard,
-    ModuleLoader,
+    ModuleLoader as ModuleLoaderOption,
+    ModuleManifest,
+    ModuleManifestEntry,
+    ResolvedManifestEntry,
+    ModuleManifestEvent,
     ThemeConfig
 } from './types.js';
 
+// Framework version, checked against `requires: { framework: '...' }`
+export declare const VERSION: string;
+
 // Event constants
 export declare const EVENTS: {
     readonly FRAMEWORK_READY: 'framework:ready';
@@ -35,11 +86,16 @@ export declare const EVENTS: {
     readonly MODULE_UNREGISTERED: 'module:unregistered';
     readonly MODULE_LOAD: 'module:load';
     readonly MODULE_ERROR: 'module:error';
+    readonly MODULE_MANIFEST_LOADED: 'module:manifest_loaded';
     readonly ROUTE_REGISTERED: 'route:registered';
     readonly ROUTE_CHANGE: 'route:change';
+    readonly ROUTE_REDIRECT: 'route:redirect';
+    readonly NAVIGATION_ABORTED: 'navigation:aborted';
     readonly ROUTE_ERROR: 'route:error';
     readonly ROUTE_404: 'route:404';
+    readonly ROUTE_PREFETCH: 'route:prefetch';
     readonly LOADING_CHANGE: 'loading:change';
+    readonly REGION_LOADING_CHANGE: 'region:loading_change';
     readonly ERROR: 'error';
     readonly PLUGIN_INSTALLED: 'plugin:installed';
 };
@@ -59,30 +115,205 @@ export declare class EventManager {
 // ModuleManager class
 export declare class ModuleManager {
     constructor(framework: MicroFramework, options?: ModuleManagerConfig);
-    registerModule(name: string, module: Module): void;
+    readonly loader: ModuleLoaderOption;
+    registerModule(name: string, module: Module, options?: RegisterModuleOptions): boolean;
     unregisterModule(name: string): void;
-    loadModule(name: string, params?: RouteParams): Promise<void>;
+    loadModule(name: string, params?: RouteParams, options?: LoadModuleOptions): Promise<HTMLElement | null>;
+    getOutlet(record: MountedModule): HTMLElement;
+    getStack(region?: string | null): MountedModule[];
+    setLoading(show: boolean, region?: string | null): void;
+    unmount(depth?: number, region?: string | null, keepAlive?: boolean): Promise<void>;
+    detach(depth?: number, region?: string | null): MountedModule[];
+    destroyRecords(records: MountedModule[], keepAlive?: boolean): Promise<void>;
+    canKeepAlive(record: MountedModule): boolean;
+    captureScroll(nodes: Node[]): { element: Element; top: number; left: number }[];
+    cacheRecord(record: MountedModule): Promise<void>;
+    getCacheEntry(name: string, module: ModuleInstance, region?: string | null, params?: Record<string, string>): Promise<(CachedModule & { key: string; module: ModuleInstance; fragment: DocumentFragment }) | null>;
+    restoreCacheEntry(entry: CachedModule & { fragment: DocumentFragment }, container: HTMLElement): void;
+    getCachedModules(): CachedModule[];
+    purgeCache(filter?: string | null | ((entry: CachedModule & { key: string; module: ModuleInstance }) => boolean)): Promise<number>;
+    normalizeBasePath(prefix?: string): string;
+    prefixRouteOptions(options: RouteOptions, prefixPath: (path: string) => string, nested?: boolean): RouteOptions;
+    getBasePath(name: string): string;
     normalizeRouteOptions(routeOptions: any): any;
-    dynamicImport(name: string): Promise<ModuleInstance | null>;
-    getCurrentModule(): ModuleInstance | null;
+    dynamicImport(name: string, chain?: string[]): Promise<ModuleInstance | null>;
+    refreshManifest(source?: string | ModuleManifest): Promise<string[]>;
+    prefetchModule(name: string): Promise<ModuleInstance | null>;
+    resolveDependencies(name: string, chain?: string[], order?: string[]): Promise<string[]>;
+    getDependencyGraph(): ModuleDependencyGraph;
+    getDependents(name: string): string[];
+    getRequirementConflicts(module: Module, includeMissing?: boolean): ModuleConflict[];
+    getRegisteredVersions(dependency: string): Module[];
+    rejectModule(name: string, message: string, conflicts?: ModuleConflict[]): false;
+    importModule(name: string, chain?: string[]): Promise<ModuleInstance | null>;
+    getCurrentModule(region?: string | null): ModuleInstance | null;
+    getMountedModules(region?: string | null): MountedModule[];
+    hasUnsavedChanges(): boolean;
     getModules(): Map<string, ModuleInstance>;
 }
 
+// ModuleLoader class
+export declare class ModuleLoader implements ModuleLoaderOption {
+    constructor(framework: MicroFramework, options?: { manifest?: string | ModuleManifest | null; moduleBase?: string });
+    readonly entries: Map<string, ResolvedManifestEntry>;
+    load(name: string): Promise<Module>;
+    ensureManifest(): Promise<void>;
+    refreshManifest(source?: string | ModuleManifest): Promise<string[]>;
+    fetchManifest(source: string | ModuleManifest | null): Promise<Map<string, ResolvedManifestEntry>>;
+    normalizeManifest(manifest: ModuleManifest, baseUrl?: string): Map<string, ResolvedManifestEntry>;
+    applyManifest(entries: Map<string, ResolvedManifestEntry>, source: string | ModuleManifest | null): string[];
+    importScript(url: string, integrity?: string | null, name?: string | null): Promise<Module>;
+    loadStylesheet(sheet: { url: string; integrity: string | null }, name: string): Promise<HTMLLinkElement>;
+    removeStaleStylesheets(previous: ResolvedManifestEntry | null | undefined, entry: ResolvedManifestEntry): void;
+    insertLink(attributes: Partial<HTMLLinkElement>): Promise<HTMLLinkElement>;
+    supportsModulePreload(): boolean;
+    getDocumentBase(): string | undefined;
+    getEntry(name: string): ResolvedManifestEntry | null;
+    destroy(): void;
+}
+
+// ScrollManager class
+export declare class ScrollManager {
+    constructor(framework: MicroFramework, options?: { enabled?: boolean; scrollBehavior?: RouterConfig['scrollBehavior']; containers?: RouterConfig['scrollContainers'] });
+    initialize(): void;
+    savePosition(): ScrollPosition | null;
+    restore(to: Route, from: Route | null, saved?: ScrollPosition | null): Promise<void>;
+    getDefaultPosition(to: Route): ScrollPosition;
+    scrollTo(position: ScrollPosition): void;
+    findElement(selector: string): HTMLElement | null;
+    getContainer(name: string): HTMLElement | null;
+    destroy(): void;
+}
+
+// HeadManager class
+export declare class HeadManager {
+    constructor(framework: MicroFramework, options?: { titleTemplate?: string });
+    initialize(): void;
+    handleRouteChange(route: Route): void;
+    handleRouteError(event: { route: Route; error: Error }): void;
+    restoreDefaults(): void;
+    resolveMeta(route: Route): RouteMeta;
+    update(meta: RouteMeta): void;
+    setTag(tagName: string, keyAttribute: string, key: string, valueAttribute: string, value: string): void;
+    reset(): void;
+    resolveUrl(url: string): string;
+    destroy(): void;
+}
+
+// TransitionManager class
+export declare class TransitionManager {
+    constructor(framework: MicroFramework, options?: { transition?: TransitionOption });
+    resolve(transition?: TransitionOption | ResolvedTransition | null): ResolvedTransition | null;
+    run(container: HTMLElement, update: () => void | Promise<void>, options?: { transition?: TransitionOption | ResolvedTransition | null; direction?: NavigationDirection; onFinish?: () => void }): Promise<void>;
+    runViewTransition(update: () => void | Promise<void>, transition: ResolvedTransition, direction: NavigationDirection, onFinish: () => void): Promise<void>;
+    runClassTransition(container: HTMLElement, update: () => void | Promise<void>, transition: ResolvedTransition, direction: NavigationDirection, onFinish: () => void): Promise<void>;
+    waitForAnimation(element: HTMLElement, duration: number): Promise<void>;
+}
+
+// RegionManager class
+export declare class RegionManager {
+    constructor(framework: MicroFramework, options?: { containers?: Record<string, string | HTMLElement>; modules?: RegionModules });
+    initialize(): void;
+    initializeRegion(region: { name: string; target: string | HTMLElement; container: HTMLElement | null }): void;
+    observeRegion(region: { name: string; container: HTMLElement | null }): void;
+    recover(name: string): Promise<void>;
+    has(name: string): boolean;
+    getRegionNames(): string[];
+    getContainer(name: string): HTMLElement;
+    resolveModules(route: Route): RegionModules;
+    update(route: Route, context: ModuleContext): Promise<void>;
+    updateRegion(name: string, moduleName: string | null, params: RouteParams, context: ModuleContext, route: Route): Promise<void>;
+    getLeavingModules(to: Route): MountedModule[];
+    setLoading(name: string, loading: boolean): void;
+    isLoading(name: string): boolean;
+    destroy(): void;
+}
+
+// PrefetchManager class
+export declare class PrefetchManager {
+    constructor(framework: MicroFramework, options?: { strategy?: PrefetchStrategy | null; maxAge?: number });
+    initialize(): void;
+    getStrategy(link: HTMLElement): PrefetchStrategy | null;
+    handlePointer(event: Event): void;
+    observeLinks(root: ParentNode): void;
+    prefetchLink(link: HTMLElement, trigger: RoutePrefetchEvent['trigger']): Promise<any>;
+    prefetch(path: string | NavigationTarget, trigger?: RoutePrefetchEvent['trigger']): Promise<any>;
+    isSaveData(): boolean;
+    destroy(): void;
+}
+
 // Router class
 export declare class Router {
     constructor(framework: MicroFramework, options?: RouterConfig);
     readonly currentRoute: Route | null;
+    readonly pendingNavigation: Navigation | null;
+    readonly historyStack: HistoryStack;
+    readonly scrollManager: ScrollManager;
     initialize(): void;
-    handleRouteChange(): void;
+    handleRouteChange(event?: Event): void;
+    handleBeforeUnload(event: BeforeUnloadEvent): void;
     registerRoute(path: string, options?: RouteOptions): void;
-    navigate(path: string, options?: { skipHistory?: boolean }): Promise<void>;
-    handleRoute(route: Route): Promise<void>;
+    registerAliases(route: Route, aliases: string[]): void;
+    registerChildRoutes(parent: Route, children: RouteChildren): void;
+    joinPaths(parentPath: string, childPath: string): string;
+    getMatchedRoutes(route: Route): Route[];
+    use(middleware: NavigationMiddleware | RouteGuard, options?: MiddlewareOptions): () => void;
+    createGuardMiddleware(guard: RouteGuard): NavigationMiddleware | null;
+    navigate(target: string | NavigationTarget, options?: NavigateOptions): Promise<void>;
+    startNavigation(path: string): Navigation;
+    runNavigation(path: string, options: { navigation: Navigation; [key: string]: any }): Promise<void>;
+    resolveNavigation(route: Route, path: string, options: { navigation: Navigation; [key: string]: any }, context: NavigationContext): Promise<void>;
+    createNavigationContext(route: Route, path: string, options: { navigation: Navigation; [key: string]: any }): NavigationContext;
+    runMiddleware(context: NavigationContext, resolve: () => Promise<void>, options: { navigation: Navigation; [key: string]: any }): Promise<void>;
+    runNotFound(path: string, options: { navigation: Navigation; [key: string]: any }): Promise<void>;
+    runLeaveGuards(to: Route): Promise<boolean>;
+    cancelNavigation(options: { fromIndex?: number; [key: string]: any }): void;
+    restoreHistoryPosition(index: number): void;
+    loadRouteData(route: Route, signal: AbortSignal): Promise<void>;
+    canPrefetchData(route: Route): boolean;
+    prefetchRouteData(route: Route): Promise<PromiseSettledResult<any>[]>;
+    dropPrefetchedData(fullPath: string, abort?: boolean): void;
+    hasPrefetchedData(route: Route): boolean;
+    isRedirectTarget(result: any): boolean;
+    redirect(fromPath: string, target: string | NavigationTarget, reason: RouteRedirectEvent['reason'], route: Route, options?: any): Promise<void>;
+    handleRoute(route: Route, context?: ModuleContext): Promise<void>;
     processTemplate(template: string, params: RouteParams, context: ModuleContext): string;
     getCurrentRoute(): string;
+    getCurrentState(): any;
+    parsePath(path: string): RouteLocation;
+    parseQuery(search: string): RouteQuery;
+    decode(value: string): string;
+    normalizePath(pathname: string): string;
+    getCanonicalPath(route: Route): string;
     findMatchingRoute(path: string): Route | null;
     matchRoute(routePath: string, actualPath: string): { params: RouteParams } | null;
-    updateBrowserUrl(path: string): void;
-    handle404(path: string): void;
+    compilePath(routePath: string): CompiledRoutePath;
+    buildMatcher(segments: RouteSegment[], trailingSlash: boolean, ignoreConstraints?: boolean): RegExp;
+    buildPattern(segments: RouteSegment[], ignoreConstraints?: boolean): string;
+    parseSegment(part: string): RouteSegment;
+    getSegmentKind(segment: RouteSegment): string;
+    scoreRoute(routePath: string): number[];
+    compareScores(a: number[], b: number[]): number;
+    getRankedRoutes(): Route[];
+    explain(path: string): RouteExplanation;
+    explainMismatch(routePath: string, pathname: string): string;
+    describeRanking(winnerPath: string, loserPath: string): string;
+    resolve(name: string, params?: NavigationTarget['params'], query?: NavigationTarget['query']): string;
+    resolvePath(target: string | NavigationTarget): string;
+    buildPath(route: Route, params?: NavigationTarget['params']): string;
+    stringifyQuery(query: NavigationTarget['query']): string;
+    createHref(path: string): string;
+    getPathFromHref(href: string): string;
+    updateBrowserUrl(path: string, options?: { replace?: boolean; state?: any }): void;
+    replace(target: string | NavigationTarget, state?: any): Promise<void>;
+    back(): Promise<void>;
+    forward(): Promise<void>;
+    go(n: number): Promise<void>;
+    canGoBack(): boolean;
+    canGoForward(): boolean;
+    saveScrollPosition(): void;
+    handleError(error: any, options?: { message?: string; route?: Route | null; level?: number; module?: ModuleInstance | null; depth?: number; target?: HTMLElement | null; retry?: (() => void | Promise<void>) | null; errorView?: boolean; region?: string | null }): Promise<void>;
+    handle404(path: string): Promise<void>;
     getRoutes(): Map<string, Route>;
     destroy(): void;
 }
@@ -95,19 +326,28 @@ export declare class MicroFramework {
     readonly moduleManager: ModuleManager;
     readonly router: Router;
     readonly eventManager: EventManager;
+    readonly headManager: HeadManager;
+    readonly prefetchManager: PrefetchManager;
+    readonly transitionManager: TransitionManager;
+    readonly regionManager: RegionManager;
     
     // Core methods
     start(): void;
     destroy(): void;
     
     // Module management (delegates to moduleManager)
-    registerModule(name: string, module: Module): void;
+    registerModule(name: string, module: Module, options?: RegisterModuleOptions): boolean;
     unregisterModule(name: string): void;
-    loadModule(name: string, params?: RouteParams): Promise<void>;
+    loadModule(name: string, params?: RouteParams): Promise<HTMLElement | null>;
+    getCachedModules(): CachedModule[];
+    purgeCache(name?: string | null): Promise<number>;
+    refreshManifest(source?: string | ModuleManifest): Promise<string[]>;
     
     // Routing (delegates to router)
     registerRoute(path: string, options?: RouteOptions): void;
-    navigate(path: string, options?: { skipHistory?: boolean }): Promise<void>;
+    navigate(path: string | NavigationTarget, options?: NavigateOptions): Promise<void>;
+    href(name: string, params?: NavigationTarget['params'], query?: NavigationTarget['query']): string;
+    prefetch(path: string | NavigationTarget): Promise<any>;
     getCurrentRoute(): string;
     
     // Event system
@@ -127,12 +367,22 @@ export declare class MicroFramework {
     use(plugin: Plugin): void;
     
     // Utility methods
+    render(content: string | HTMLElement | ((container: HTMLElement) => void), target?: HTMLElement | null): void;
     showLoading(show: boolean): void;
-    showError(message: string, error?: Error): void;
+    showError(message: string, error?: Error, target?: HTMLElement | null, retry?: (() => void | Promise<void>) | null): void;
+    bindRetry(target: HTMLElement | null, retry: (() => void | Promise<void>) | null): void;
     getContext(): ModuleContext;
+    getContainer(region?: string | null): HTMLElement;
     initializeContainer(): void;
     setupEventListeners(): void;
     handleLinkClick(event: Event): void;
+    getLinkPath(link: HTMLElement): string;
+    handleLinksAdded(root: HTMLElement): void;
+    handleRouteChange(): void;
+    updateActiveLinks(root?: ParentNode): void;
+    updateLinkState(link: HTMLElement): void;
+    ownsLink(link: Element): boolean;
+    getLinkScopes(): (HTMLElement | null)[] | null;
     handleInitialRoute(): void;
     
     // Internal properties (read-only)
@@ -143,6 +393,7 @@ export declare class MicroFramework {
     readonly currentRoute: Route | null;
     readonly isStarted: boolean;
     readonly isLoading: boolean;
+    readonly version: string;
 }
 
 // Global declarations
@@ -161,7 +412,13 @@ export {
     MicroFramework,
     EventManager,
     ModuleManager,
-    Router
+    ModuleLoader,
+    Router,
+    ScrollManager,
+    HeadManager,
+    PrefetchManager,
+    TransitionManager,
+    RegionManager
 };
 
 // Re-export types
@@ -175,10 +432,54 @@ export type {
     RouteOptions,
     RouteDefinition,
     RouteMap,
+    RouteChildren,
     Route,
     RouteParams,
+    RouteQuery,
+    RouteLocation,
+    HistoryEntry,
+    HistoryStack,
+    ScrollPosition,
+    RouteMeta,
+    RouteMetaOption,
+    RouteLoader,
+    RouteLoaderContext,
+    PrefetchStrategy,
+    RoutePrefetchEvent,
+    NavigationDirection,
+    TransitionOption,
+    ResolvedTransition,
+    RegionModules,
+    RegionLoadingEvent,
+    NavigateOptions,
+    NavigationTarget,
+    RouteGuardResult,
+    RouteGuardFunction,
+    RouteLeaveGuard,
+    RouteRedirect,
+    RouteRedirectEvent,
+    TrailingSlashPolicy,
+    Navigation,
+    NavigationAbortedEvent,
+    NavigationStatus,
+    NavigationContext,
+    NavigationMiddleware,
+    MiddlewareOptions,
+    RouteSegment,
+    CompiledRoutePath,
+    RouteCandidate,
+    RouteExplanation,
+    LoadModuleOptions,
+    MountedModule,
+    CachedModule,
     ModuleContext,
+    RegisterModuleOptions,
+    ModuleDependencyGraph,
+    VersionPolicy,
+    ModuleConflict,
     ModuleError,
+    ErrorHandler,
+    ErrorHandlerContext,
     EventCallback,
     Plugin,
     EventHistoryEntry,
@@ -186,6 +487,9 @@ export type {
     EventName,
     EventData,
     RouteGuard,
-    ModuleLoader,
+    ModuleManifest,
+    ModuleManifestEntry,
+    ResolvedManifestEntry,
+    ModuleManifestEvent,
     ThemeConfig
 };
\ No newline at end of file
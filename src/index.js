@@ -4,15 +4,22 @@
  */
 
 import { MicroFramework } from './MicroFramework.js';
-import { EVENTS } from './constants.js';
+import { EVENTS, VERSION } from './constants.js';
 import { EventManager } from './EventManager.js';
 import { ModuleManager } from './ModuleManager.js';
+import { ModuleLoader } from './ModuleLoader.js';
 import { Router } from './Router.js';
+import { ScrollManager } from './ScrollManager.js';
+import { HeadManager } from './HeadManager.js';
+import { PrefetchManager } from './PrefetchManager.js';
+import { TransitionManager } from './TransitionManager.js';
+import { RegionManager } from './RegionManager.js';
 
 // Make available globally for browser usage
 if (typeof window !== 'undefined') {
     window.MicroFramework = MicroFramework;
     window.MicroFramework.EVENTS = EVENTS;
+    window.MicroFramework.VERSION = VERSION;
 }
 
 // Default export (primary API)
@@ -22,18 +29,32 @@ export default MicroFramework;
 export { 
     MicroFramework,
     EVENTS,
+    VERSION,
     EventManager,
     ModuleManager,
-    Router
+    ModuleLoader,
+    Router,
+    ScrollManager,
+    HeadManager,
+    PrefetchManager,
+    TransitionManager,
+    RegionManager
 };
 
 // AMD/CommonJS support for legacy environments
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MicroFramework;
     module.exports.EVENTS = EVENTS;
+    module.exports.VERSION = VERSION;
     module.exports.EventManager = EventManager;
     module.exports.ModuleManager = ModuleManager;
+    module.exports.ModuleLoader = ModuleLoader;
     module.exports.Router = Router;
+    module.exports.ScrollManager = ScrollManager;
+    module.exports.HeadManager = HeadManager;
+    module.exports.PrefetchManager = PrefetchManager;
+    module.exports.TransitionManager = TransitionManager;
+    module.exports.RegionManager = RegionManager;
 }
 
 if (typeof define === 'function' && define.amd) {
@@ -41,8 +62,15 @@ if (typeof define === 'function' && define.amd) {
         default: MicroFramework,
         MicroFramework, 
         EVENTS,
+        VERSION,
         EventManager,
         ModuleManager,
-        Router
+        ModuleLoader,
+        Router,
+        ScrollManager,
+        HeadManager,
+        PrefetchManager,
+        TransitionManager,
+        RegionManager
     }));
 }
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Semver helpers for module compatibility checks - exact and partial versions,
+ * x/* wildcards, comparators (>, >=, <, <=, =), caret and tilde ranges,
+ * hyphen ranges, space separated AND and || OR
+ */
+
+const VERSION_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a full or partial version - missing and wildcard parts are null
+ */
+export function parseVersion(version) {
+    const match = VERSION_PATTERN.exec(String(version).trim());
+    if (!match) {
+        return null;
+    }
+
+    const part = value => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+    const major = part(match[1]);
+    const minor = major === null ? null : part(match[2]);
+    const patch = minor === null ? null : part(match[3]);
+
+    return {
+        major,
+        minor,
+        patch,
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+/**
+ * Compare two versions - negative when a is lower, positive when higher
+ * A prerelease sorts before its release (1.0.0-beta < 1.0.0)
+ */
+export function compareVersions(a, b) {
+    const left = typeof a === 'string' ? parseVersion(a) : a;
+    const right = typeof b === 'string' ? parseVersion(b) : b;
+
+    for (const key of ['major', 'minor', 'patch']) {
+        const diff = (left[key] ?? 0) - (right[key] ?? 0);
+        if (diff) {
+            return Math.sign(diff);
+        }
+    }
+    return comparePrerelease(left.prerelease, right.prerelease);
+}
+
+/**
+ * Compare prerelease identifiers - numeric ones numerically, and below alphanumeric ones
+ */
+function comparePrerelease(a, b) {
+    if (!a.length || !b.length) {
+        return Number(!a.length) - Number(!b.length);
+    }
+
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] === undefined || b[i] === undefined) {
+            return a[i] === undefined ? -1 : 1;
+        }
+        const numeric = /^\d+$/.test(a[i]) && /^\d+$/.test(b[i]);
+        const diff = numeric
+            ? Number(a[i]) - Number(b[i])
+            : Number(/^\d+$/.test(b[i])) - Number(/^\d+$/.test(a[i])) || a[i].localeCompare(b[i]);
+        if (diff) {
+            return Math.sign(diff);
+        }
+    }
+    return 0;
+}
+
+/**
+ * Lowest version a partial version covers - 1.2 -> 1.2.0
+ */
+function floor(version) {
+    return {
+        major: version.major,
+        minor: version.minor ?? 0,
+        patch: version.patch ?? 0,
+        prerelease: version.prerelease
+    };
+}
+
+/**
+ * First version above everything a partial version covers - 1.2 -> 1.3.0, 1 -> 2.0.0
+ */
+function ceiling(version) {
+    if (version.minor === null) {
+        return { major: version.major + 1, minor: 0, patch: 0, prerelease: [] };
+    }
+    return { major: version.major, minor: version.minor + 1, patch: 0, prerelease: [] };
+}
+
+/**
+ * Whether a version is complete - major, minor and patch all given
+ */
+function isFull(version) {
+    return version.patch !== null;
+}
+
+/**
+ * Turn one range token such as ^1.2, >=1.0 or 1.x into comparators
+ */
+function parseComparator(token, range) {
+    const [, operator = '', value] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(token);
+    const version = parseVersion(value);
+    if (!version) {
+        throw new Error(`Invalid version range: ${range}`);
+    }
+    if (version.major === null) {
+        return []; // * or x - any version
+    }
+
+    const lower = floor(version);
+    switch (operator) {
+        case '^': {
+            let upper;
+            if (version.major > 0 || version.minor === null) {
+                upper = { major: version.major + 1, minor: 0, patch: 0, prerelease: [] };
+            } else if (version.minor > 0 || version.patch === null) {
+                upper = { major: 0, minor: version.minor + 1, patch: 0, prerelease: [] };
+            } else {
+                upper = { major: 0, minor: 0, patch: version.patch + 1, prerelease: [] };
+            }
+            return [['>=', lower], ['<', upper]];
+        }
+        case '~':
+            return [['>=', lower], ['<', version.minor === null ? ceiling(version) : ceiling({ ...version, patch: null })]];
+        case '>':
+            return isFull(version) ? [['>', version]] : [['>=', ceiling(version)]];
+        case '>=':
+            return [['>=', lower]];
+        case '<':
+            return [['<', lower]];
+        case '<=':
+            return isFull(version) ? [['<=', version]] : [['<', ceiling(version)]];
+        default:
+            return isFull(version) ? [['=', version]] : [['>=', lower], ['<', ceiling(version)]];
+    }
+}
+
+/**
+ * Turn one || alternative into the comparators that must all hold
+ */
+function parseComparatorSet(set, range) {
+    const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(set);
+    if (hyphen) {
+        const from = parseVersion(hyphen[1]);
+        const to = parseVersion(hyphen[2]);
+        if (!from || !to) {
+            throw new Error(`Invalid version range: ${range}`);
+        }
+        return [
+            ...(from.major === null ? [] : [['>=', floor(from)]]),
+            ...(to.major === null ? [] : [isFull(to) ? ['<=', to] : ['<', ceiling(to)]])
+        ];
+    }
+
+    return set
+        .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+        .split(/\s+/)
+        .filter(Boolean)
+        .flatMap(token => parseComparator(token, range));
+}
+
+/**
+ * Whether a version is a plain version - wildcards only make sense in ranges
+ * Prerelease and build parts may contain an x (2.0.0-next.1, 1.0.0+exp.sha)
+ */
+export function isValidVersion(version) {
+    if (version === null || version === undefined || !parseVersion(version)) {
+        return false;
+    }
+    const [release] = String(version).trim().split(/[-+]/);
+    return !/[xX*]/.test(release);
+}
+
+/**
+ * Check a version against a range such as '^1.1.0', '>=1.0 <3' or '1.x || 2.x'
+ * A partial version counts as its lowest full version (1.0 -> 1.0.0). As in npm, a
+ * prerelease only satisfies a set with a prerelease bound on the same major.minor.patch,
+ * so 2.0.0-beta doesn't satisfy ^1.0.0. Throws for a range that can't be parsed.
+ */
+export function satisfies(version, range) {
+    if (!isValidVersion(version)) {
+        return false;
+    }
+    const parsed = floor(parseVersion(version));
+
+    const tests = {
+        '=': diff => diff === 0,
+        '>': diff => diff > 0,
+        '>=': diff => diff >= 0,
+        '<': diff => diff < 0,
+        '<=': diff => diff <= 0
+    };
+
+    const sameRelease = bound => ['major', 'minor', 'patch'].every(key => bound[key] === parsed[key]);
+
+    return String(range).split('||').some(set => {
+        const comparators = parseComparatorSet(set.trim(), range);
+        if (parsed.prerelease.length && !comparators.some(([, bound]) => bound.prerelease.length && sameRelease(bound))) {
+            return false;
+        }
+        return comparators.every(([operator, bound]) => tests[operator](compareVersions(parsed, bound)));
+    });
+}
@@ -4,30 +4,76 @@
  */
 
 export interface RouterConfig {
-    mode?: 'history' | 'hash' | 'hashbang';
+    mode?: 'history' | 'hash' | 'hashbang' | 'memory';
     base?: string;
     hashbang?: boolean;
-    beforeEnter?: (to: Route, from: Route | null) => boolean | Promise<boolean>;
+    maxRedirects?: number; // Default 10
+    initialPath?: string; // First history entry in memory mode (default '/')
+    trailingSlash?: TrailingSlashPolicy; // Default 'strict'
+    caseSensitive?: boolean; // Default true - false matches /Users like /users
+    scrollRestoration?: boolean; // Default true, false in memory mode
+    scrollBehavior?: (to: Route, from: Route | null, saved: ScrollPosition | null) => ScrollPosition | false | null | void | Promise<ScrollPosition | false | null | void>;
+    scrollContainers?: Record<string, string | HTMLElement>; // Named scroll containers to save and restore
+    prefetchMaxAge?: number; // How long prefetched loader data stays usable in ms (default 30000)
+    beforeEnter?: RouteGuardFunction;
     afterEnter?: (to: Route, from: Route | null) => void | Promise<void>;
     notFoundHandler?: NotFoundHandler;
+    errorHandler?: ErrorHandler;
+}
+
+// 'strict' keeps /users and /users/ apart, 'ignore' matches both,
+// 'redirect' matches both and replaces non-canonical URLs with the canonical one
+export type TrailingSlashPolicy = 'strict' | 'ignore' | 'redirect';
+
+// Region name -> module name, null leaves the region empty
+export type RegionModules = Record<string, string | null>;
+
+export interface RegionLoadingEvent {
+    region: string;
+    loading: boolean;
 }
 
 export interface ModuleManagerConfig {
     moduleBase?: string;
     lazy?: boolean;
+    versionPolicy?: VersionPolicy;
+    manifest?: string | ModuleManifest;
+    loader?: ModuleLoader; // Replaces the manifest/moduleBase loader
+    keepAliveMax?: number;
 }
 
+// What registering a different version of an already registered module does
+export type VersionPolicy = 'replace' | 'reject' | 'keep';
+
 export interface MicroFrameworkConfig {
-    container?: string | HTMLElement;
+    container?: string | HTMLElement | Record<string, string | HTMLElement>; // A map names regions, routes render into 'main' (or the first)
+    regions?: RegionModules; // Default module per named region
     loadingSpinner?: string | HTMLElement;
     router?: RouterConfig;
     // Legacy router options (for backward compatibility)
-    mode?: 'history' | 'hash' | 'hashbang';
+    mode?: 'history' | 'hash' | 'hashbang' | 'memory';
     base?: string;
     hashbang?: boolean;
     notFoundHandler?: NotFoundHandler; // Custom 404 handler
+    errorHandler?: ErrorHandler; // Fallback error view for failed routes and modules
     moduleBase?: string;
     lazy?: boolean;
+    versionPolicy?: VersionPolicy; // Default 'replace'
+    manifest?: string | ModuleManifest; // URL of a JSON manifest, or the manifest object - consulted before moduleBase
+    moduleLoader?: ModuleLoader; // Custom loader for lazily loaded modules
+    keepAliveMax?: number; // keepAlive modules cached before the least recently used is destroyed (default 10)
+    titleTemplate?: string; // Document title template, '%s' is replaced by the route title
+    // Navigation links
+    autoBindLinks?: boolean; // Navigate on clicks on linkSelector elements (default true)
+    linkSelector?: string; // Default '[data-route]'
+    linkScope?: string | HTMLElement | null; // Where links are handled - default the document, the app's containers in memory mode
+    activeLinks?: boolean; // Keep active classes and aria-current in sync (default true)
+    activeClass?: string; // Default 'active'
+    exactActiveClass?: string; // Default 'exact-active'
+    activeMatch?: 'exact' | 'prefix'; // Default 'exact', per link via data-active-match
+    prefetch?: PrefetchStrategy | null; // Default prefetch strategy for links, per link via data-prefetch
+    transition?: TransitionOption; // Default transition when a route swaps modules
+    prefetchMaxAge?: number; // Default 30000 ms
     // Event system configuration
     enableEventLogging?: boolean;
     eventLogPrefix?: string;
@@ -40,17 +86,33 @@ export interface MicroFrameworkConfig {
 export interface Module {
     name: string;
     version?: string;
+    requires?: Record<string, string>; // Module name (or 'framework') -> semver range it needs
     description?: string;
     routes?: (string | RouteDefinition)[] | RouteMap;
+    basePath?: string; // Mount point prepended to every route in `routes` - registerModule's prefix wins
+    dependencies?: string[]; // Modules registered (imported if needed) before this one mounts
     render: (container: HTMLElement, params: RouteParams, context: ModuleContext) => void | Promise<void>;
+    outlet?: string | ((container: HTMLElement) => HTMLElement | null); // Child route outlet for layout modules (default '[data-outlet]')
     onRegister?: (context: ModuleContext) => void | Promise<void>;
     beforeMount?: (params: RouteParams, context: ModuleContext) => void | Promise<void>;
     afterMount?: (container: HTMLElement, params: RouteParams, context: ModuleContext) => void | Promise<void>;
     destroy?: () => void | Promise<void>;
-    beforeEnter?: (to: Route, from: Route | null) => boolean | Promise<boolean>;
+    keepAlive?: boolean; // Cache the module's DOM when it leaves instead of destroying it
+    activated?: (container: HTMLElement, params: RouteParams, context: ModuleContext) => void | Promise<void>; // Shown again from the cache, instead of render/afterMount
+    deactivated?: () => void | Promise<void>; // Moved into the cache
+    beforeEnter?: RouteGuardFunction;
+    beforeLeave?: RouteLeaveGuard; // Return false to keep the user here
+    isDirty?: () => boolean; // Unsaved changes - the browser asks before unloading the page
+    errorHandler?: ErrorHandler; // Error view when this module fails to mount or its route handler throws
     afterEnter?: (to: Route, from: Route | null) => void | Promise<void>;
 }
 
+// Guards return false to cancel, a path or target to redirect, anything else to proceed
+export type RouteGuardResult = boolean | void | string | NavigationTarget;
+export type RouteGuardFunction = (to: Route, from: Route | null) => RouteGuardResult | Promise<RouteGuardResult>;
+export type RouteLeaveGuard = (to: Route, from: Route | null) => boolean | void | Promise<boolean | void>;
+export type RouteRedirect = string | NavigationTarget | ((to: Route) => string | NavigationTarget);
+
 export interface ModuleInstance extends Module {
     [key: string]: any;
 }
@@ -58,55 +120,315 @@ export interface ModuleInstance extends Module {
 export type RouteHandler = (params: RouteParams, context: ModuleContext, route: Route) => void | Promise<void>;
 
 export interface RouteOptions {
+    name?: string; // Named route for URL generation
     handler?: RouteHandler | string;
     module?: string;
     exact?: boolean;
-    beforeEnter?: (to: Route, from: Route | null) => boolean | Promise<boolean>;
+    beforeEnter?: RouteGuardFunction;
+    beforeLeave?: RouteLeaveGuard;
     afterEnter?: (to: Route, from: Route | null) => void | Promise<void>;
+    children?: RouteChildren; // Nested routes, paths relative to this route
+    redirect?: RouteRedirect;
+    alias?: string | string[]; // Extra paths matching this route, URL is kept
+    meta?: RouteMetaOption; // Document title and head tags, merged over parent routes
+    load?: RouteLoader; // Resolves route data after guards, before the module loads
+    prefetch?: boolean; // true lets guarded routes prefetch loader data, false turns data prefetching off
+    errorHandler?: ErrorHandler; // Error boundary for this route and its children
+    transition?: TransitionOption; // Overrides the framework transition, false disables it
+    regions?: RegionModules; // Modules for named regions, merged over parent routes
 }
 
 export interface RouteDefinition {
     path: string;
+    name?: string;
     handler?: RouteHandler | string;
+    module?: string;
     exact?: boolean;
-    beforeEnter?: (to: Route, from: Route | null) => boolean | Promise<boolean>;
+    beforeEnter?: RouteGuardFunction;
+    beforeLeave?: RouteLeaveGuard;
     afterEnter?: (to: Route, from: Route | null) => void | Promise<void>;
+    children?: RouteChildren;
+    redirect?: RouteRedirect;
+    alias?: string | string[];
+    meta?: RouteMetaOption;
+    load?: RouteLoader;
+    prefetch?: boolean;
+    errorHandler?: ErrorHandler;
+    transition?: TransitionOption;
+    regions?: RegionModules;
 }
 
+export type RouteChildren = (string | RouteDefinition)[] | RouteMap;
+
 export interface RouteMap {
     [path: string]: RouteOptions | RouteHandler | string;
 }
 
 export interface Route {
     path: string;
+    name?: string;
     handler?: RouteHandler | string;
     module?: string;
     exact?: boolean;
-    beforeEnter?: (to: Route, from: Route | null) => boolean | Promise<boolean>;
+    beforeEnter?: RouteGuardFunction;
+    beforeLeave?: RouteLeaveGuard;
     afterEnter?: (to: Route, from: Route | null) => void | Promise<void>;
     params?: RouteParams;
+    query?: RouteQuery;
+    hash?: string;
+    fullPath?: string;
+    children?: RouteChildren;
+    parent?: Route; // Parent route record for nested routes
+    matched?: Route[]; // Matched route chain, outermost parent first
+    redirect?: RouteRedirect;
+    alias?: string | string[];
+    meta?: RouteMetaOption;
+    load?: RouteLoader;
+    prefetch?: boolean;
+    errorHandler?: ErrorHandler;
+    transition?: TransitionOption;
+    regions?: RegionModules;
+    direction?: NavigationDirection; // 'back' when moving back through history
+    data?: any; // Result of the leaf route's loader
+    matchedData?: any[]; // Loader results aligned with `matched`
+    loadError?: { depth: number; error: any }; // Outermost loader failure
+    aliasOf?: string; // Original path when matched through an alias
+    redirectedFrom?: string; // Path that redirected here
+    state?: any; // State stored with the history entry
+    notFound?: boolean; // Navigation to a path no route matches
+    navigationId?: number;
+    signal?: AbortSignal; // Aborted when a newer navigation supersedes this one
+}
+
+export interface Navigation {
+    id: number;
+    path: string;
+    controller: AbortController;
+    signal: AbortSignal;
+}
+
+export interface NavigationAbortedEvent {
+    id: number;
+    path: string;
+    replacedBy: { id: number; path: string };
+}
+
+export interface RouteRedirectEvent {
+    from: string;
+    to: string;
+    reason: 'redirect' | 'guard' | 'middleware' | 'canonical';
+    route: Route;
+    chain: string[];
+}
+
+export interface RouteSegment {
+    type: 'static' | 'param' | 'splat';
+    value?: string; // Static segments
+    name?: string; // Params and splats
+    constraint?: string | null;
+    optional?: boolean;
+}
+
+export interface CompiledRoutePath {
+    regex: RegExp;
+    segments: RouteSegment[];
+    trailingSlash: boolean; // Pattern declared with a trailing slash
+}
+
+export interface RouteCandidate {
+    path: string;
+    rank: number;
+    score: number[];
+    matched: boolean;
+    selected: boolean;
+    params: RouteParams | null;
+    reason: string;
+}
+
+export interface RouteExplanation {
+    path: string;
+    pathname: string;
+    selected: string | null;
+    candidates: RouteCandidate[];
+}
+
+export interface LoadModuleOptions {
+    depth?: number;
+    container?: HTMLElement | null;
+    layout?: boolean;
+    context?: ModuleContext;
+    route?: Route | null; // Route being loaded - its errorHandler applies to failures
+    level?: number; // Index of the module's route in route.matched
+    retry?: () => void | Promise<void>; // What the error view's "try again" does
+    errorView?: boolean; // Loading an error view - failures fall back to the default view
+    transition?: TransitionOption | ResolvedTransition | null; // Animates replacing a mounted module
+    direction?: NavigationDirection;
+    region?: string | null; // Mount in a named region instead of the main container
+}
+
+export interface MountedModule {
+    name: string;
+    module: ModuleInstance;
+    params: RouteParams;
+    container: HTMLElement;
+    outlet: HTMLElement | null;
+    region?: string | null;
+    mounted?: boolean; // afterMount (or activated) has run
+}
+
+export interface CachedModule {
+    name: string;
+    region: string | null;
+    params: RouteParams; // Params it was last shown with
+    cachedAt: number;
 }
 
 export interface RouteParams {
     [key: string]: string;
 }
 
+export interface RouteQuery {
+    [key: string]: string | string[];
+}
+
+export interface NavigationTarget {
+    name?: string;
+    path?: string;
+    params?: { [key: string]: string | number };
+    query?: { [key: string]: string | number | (string | number)[] | null | undefined };
+    hash?: string;
+}
+
+export interface ScrollPosition {
+    left?: number;
+    top?: number;
+    el?: string | HTMLElement; // Scroll an element into view instead of the window
+    containers?: Record<string, { left?: number; top?: number }>;
+}
+
+export interface RouteMeta {
+    title?: string;
+    description?: string;
+    robots?: string;
+    canonical?: string; // Absolute URL, or a router path resolved against base and mode
+    og?: Record<string, string | number>; // Open Graph properties without the 'og:' prefix
+    [key: string]: any;
+}
+
+export type RouteMetaOption = RouteMeta | ((params: RouteParams, data: any, route: Route) => RouteMeta | null | undefined);
+
+export interface RouteLoaderContext {
+    params: RouteParams;
+    query: RouteQuery;
+    hash: string;
+    state: any; // History state of the navigation, null when prefetching
+    signal: AbortSignal; // Aborted when a newer navigation supersedes this one, or when unused prefetched data expires
+    route: Route;
+    prefetch?: boolean; // Running ahead of navigation for a prefetched link
+}
+
+export type NavigationDirection = 'forward' | 'back';
+
+export type TransitionOption = boolean | string | {
+    name?: string; // Class prefix for the fallback: <name>-enter, <name>-leave, <name>-forward/back (default 'mf-fade')
+    duration?: number; // Longest the leave animation may take in ms (default 300)
+    viewTransition?: boolean; // Use document.startViewTransition when available (default true)
+};
+
+export interface ResolvedTransition {
+    name: string;
+    duration: number;
+    viewTransition: boolean;
+}
+
+export type PrefetchStrategy = 'hover' | 'visible' | 'idle';
+
+export interface RoutePrefetchEvent {
+    path: string;
+    trigger: 'hover' | 'focus' | 'visible' | 'idle' | 'manual';
+    modules: string[]; // Modules being imported
+    data: boolean; // Whether loaders are running
+}
+
+export type RouteLoader = (context: RouteLoaderContext) => any | Promise<any>;
+
+export interface HistoryEntry {
+    path: string;
+    state: any;
+    scroll?: ScrollPosition | null;
+}
+
+export interface HistoryStack {
+    entries: HistoryEntry[];
+    index: number;
+}
+
+export interface NavigateOptions {
+    skipHistory?: boolean;
+    replace?: boolean; // Replace the current history entry instead of pushing
+    state?: any; // Serializable state stored with the history entry
+}
+
+export interface RouteLocation {
+    pathname: string;
+    query: RouteQuery;
+    hash: string;
+    fullPath: string;
+}
+
 export interface ModuleContext {
     framework: MicroFramework;
-    navigate: (path: string) => void;
+    navigate: (path: string | NavigationTarget, options?: NavigateOptions) => Promise<void>;
+    href: (name: string, params?: NavigationTarget['params'], query?: NavigationTarget['query']) => string;
+    render: (content: string | HTMLElement | ((container: HTMLElement) => void)) => void;
+    signal?: AbortSignal; // Present during navigation - aborted when superseded
+    data?: any; // Result of the route's `load` option
+    basePath?: string; // Mount point of the module's routes, '' when mounted at the root
     emit: (event: string, data?: any) => void;
     filter: (event: string, data?: any) => Promise<any>;
     on: (event: string, callback: EventCallback) => void;
     off: (event: string, callback: EventCallback) => void;
 }
 
+// Module name -> names of the modules it depends on
+export type ModuleDependencyGraph = Record<string, string[]>;
+
+export interface RegisterModuleOptions {
+    prefix?: string; // Mount the module's routes under this path, e.g. '/admin/users'
+}
+
+export interface ModuleConflict {
+    name: string; // Required module, or 'framework'
+    range: string;
+    version: string | null; // Version found, null when the module isn't registered
+    message: string;
+}
+
 export interface ModuleError {
     name: string;
     error: Error;
+    conflicts?: ModuleConflict[]; // Unmet `requires` entries
 }
 
 export type EventCallback = (data?: any) => any | Promise<any>;
 
+// Error handler types - template, function or module like NotFoundHandler
+export type ErrorHandler =
+    | ErrorHandlerFunction
+    | ErrorHandlerTemplate
+    | ErrorHandlerModule;
+
+export interface ErrorHandlerContext extends ModuleContext {
+    route: Route | null;
+    retry: (() => void | Promise<void>) | null; // Runs the failed navigation or module load again
+}
+
+export type ErrorHandlerFunction = (error: any, context: ErrorHandlerContext) => void | Promise<void>; // [data-retry] elements it renders call retry()
+export type ErrorHandlerTemplate = string; // HTML template with {{message}} and {{path}} placeholders
+export interface ErrorHandlerModule {
+    module: string; // Module rendered with params { error, route, retry }
+}
+
 // 404 Handler types
 export type NotFoundHandler = 
     | NotFoundFunction
@@ -138,14 +460,19 @@ export interface FrameworkEvents {
     'framework:ready': void;
     'framework:destroyed': void;
     'route:change': Route;
+    'route:redirect': RouteRedirectEvent;
+    'navigation:aborted': NavigationAbortedEvent;
     'route:error': { route: Route; error: Error };
     'route:404': { path: string };
+    'route:prefetch': RoutePrefetchEvent;
     'route:registered': Route;
     'module:registered': { name: string; module: Module };
     'module:unregistered': { name: string; module: Module };
-    'module:load': { name: string; module: ModuleInstance; params: RouteParams };
+    'module:load': { name: string; module: ModuleInstance; params: RouteParams; cached: boolean };
     'module:error': ModuleError;
+    'module:manifest_loaded': ModuleManifestEvent;
     'loading:change': boolean;
+    'region:loading_change': RegionLoadingEvent;
     'plugin:installed': Plugin;
     'error': { message: string; error: Error | null };
 }
@@ -155,16 +482,65 @@ export type EventName = keyof FrameworkEvents;
 export type EventData<T extends EventName> = FrameworkEvents[T];
 
 // Advanced types for plugin development
+// Registered with router.use() - beforeEach runs as middleware, afterEach once the navigation completed
 export interface RouteGuard {
-    beforeEach?: (to: Route, from: Route | null) => boolean | Promise<boolean>;
+    beforeEach?: (to: Route, from: Route | null) => RouteGuardResult | Promise<RouteGuardResult>;
     afterEach?: (to: Route, from: Route | null) => void | Promise<void>;
 }
 
+export type NavigationStatus = 'pending' | 'complete' | 'cancelled' | 'redirected' | 'aborted' | 'error';
+
+export interface NavigationContext {
+    id: number;
+    to: Route;
+    from: Route | null;
+    path: string;
+    signal: AbortSignal;
+    redirectedFrom: string | null; // Set when this navigation is a redirect hop
+    status: NavigationStatus; // How the navigation ended - read it after next()
+    error: Error | null; // Error thrown while rendering
+}
+
+// Return without calling next() to short-circuit - a path or target redirects, anything else cancels
+export type NavigationMiddleware = (
+    context: NavigationContext,
+    next: () => Promise<void>
+) => RouteGuardResult | Promise<RouteGuardResult>;
+
+export interface MiddlewareOptions {
+    order?: number; // Lower runs first (outermost), default 0 - equal order keeps registration order
+}
+
 export interface ModuleLoader {
-    load: (name: string) => Promise<Module>;
+    load: (name: string) => Promise<Module | null>; // Import a module by name, registering is up to the ModuleManager
+    refreshManifest?: (source?: string | ModuleManifest) => Promise<string[]>;
+    destroy?: () => void;
     cache?: boolean;
 }
 
+export interface ModuleManifestEntry {
+    url: string; // Relative URLs resolve against the manifest URL
+    version?: string; // Used when the module doesn't declare one
+    integrity?: string; // SRI hash, e.g. 'sha384-...'
+    css?: string | (string | { url: string; integrity?: string })[];
+}
+
+// { modules: { name: entry } }, or the map of entries itself - an entry can be just its URL
+export type ModuleManifest = { modules: Record<string, string | ModuleManifestEntry> } | Record<string, string | ModuleManifestEntry>;
+
+export interface ResolvedManifestEntry {
+    url: string;
+    version: string | null;
+    integrity: string | null;
+    css: { url: string; integrity: string | null }[];
+}
+
+export interface ModuleManifestEvent {
+    source: string | null; // Manifest URL, null for an object
+    modules: string[];
+    updated: string[]; // Imported modules unregistered because their entry changed
+}
+
 export interface ThemeConfig {
     name: string;
     variables: Record<string, string>;